@@ -2,7 +2,25 @@ import dotenv from 'dotenv';
 import Airtable from 'airtable';
 import axios from 'axios';
 import Bottleneck from 'bottleneck';
-import slugify from 'slugify';
+
+import { SIGNATURE_HEADER, TIMESTAMP_HEADER, signPayload } from './lib/auth.js';
+import {
+  analysePhoto,
+  arrangeGallery,
+  fetchGooglePhoto,
+  isGooglePhotoUrl,
+  mergeGallery,
+  parseGallery,
+  parsePhotoIds,
+  PHOTO_WIDTHS,
+  PLACEHOLDER_UNAVAILABLE,
+  toGalleryPhoto
+} from './lib/photos.js';
+import { createPhotoMirror } from './lib/photoMirror.js';
+import { createS3Client } from './lib/s3.js';
+import { lookupNeighbourhood } from './lib/neighbourhoods.js';
+import { nearestStations } from './lib/stations.js';
+import { isReservedSlug, toSlug } from './lib/slug.js';
 
 // In production (Railway) configuration must come from environment variables.
 // For local development we still allow a .env file.
@@ -34,7 +52,17 @@ const {
   SLEEP_MS_BETWEEN_REQUESTS = '250',
   OPENAI_API_KEY,
   AIRTABLE_ENRICHMENT_STATUS_OPTIONS,
-  REFRESH_PHOTOS
+  REFRESH_PHOTOS,
+  FEED_INVALIDATE_URL,
+  FEED_WEBHOOK_SECRET,
+  S3_ENDPOINT,
+  S3_REGION = 'us-east-1',
+  S3_BUCKET,
+  S3_ACCESS_KEY_ID,
+  S3_SECRET_ACCESS_KEY,
+  S3_FORCE_PATH_STYLE = 'true',
+  S3_PUBLIC_BASE_URL = '',
+  S3_KEY_PREFIX = 'restaurants/'
 } = process.env;
 
 const OPENAI_ENABLED = Boolean(OPENAI_API_KEY);
@@ -223,9 +251,6 @@ const coerceNumericField = (incoming, fallback, fieldName, options = {}) => {
   return coerced;
 };
 
-const toSlug = (name) =>
-  slugify(name || '', { lower: true, strict: true, trim: true });
-
 const clean = (s) => (s == null ? '' : String(s).trim());
 
 const isMissingNotesFieldError = (error) =>
@@ -271,6 +296,9 @@ const performTableAction = async (action, records) => {
   }
 };
 
+// Slugs written since the feed server was last told about them.
+const touchedSlugs = new Set();
+
 const upsertBySlug = async (slug, fields, recordId, options = {}) => {
   const { omitSlug = false } = options;
   const sanitizedSlug = clean(slug);
@@ -278,6 +306,7 @@ const upsertBySlug = async (slug, fields, recordId, options = {}) => {
   if (!omitSlug && sanitizedSlug) {
     payload['Slug'] = sanitizedSlug;
   }
+  if (sanitizedSlug) touchedSlugs.add(sanitizedSlug);
 
   if (recordId) {
     await performTableAction('update', [{ id: recordId, fields: payload }]);
@@ -324,12 +353,14 @@ async function getPlaceDetails(placeId) {
     'formatted_phone_number',
     'international_phone_number',
     'opening_hours/weekday_text',
+    'opening_hours/periods',
     'type',
     'types',
     'price_level',
     'rating',
     'user_ratings_total',
     'address_components',
+    'business_status',
     'photos'
   ].join(',');
   const params = { place_id: placeId, fields, key: GOOGLE_PLACES_API_KEY, region: 'gb' };
@@ -346,21 +377,103 @@ function extractAddressBits(components = []) {
   };
 }
 
-function buildPhotoUrl(photoRef, maxWidth = 1200) {
-  if (!photoRef) return '';
-  const url = 'https://maps.googleapis.com/maps/api/place/photo';
-  const params = new URLSearchParams({
-    maxwidth: String(maxWidth),
-    photoreference: photoRef,
-    key: GOOGLE_PLACES_API_KEY
+// Only photo references are stored; the feed server's /photos proxy adds the API key.
+// The whole Places gallery goes to Photos JSON, merged so pinned photos survive a refresh,
+// and the first photo left after pins/hides becomes the main Photo Reference.
+// Legacy Google photo URLs (which embed the key) are cleared; any other Photo URL is an
+// editor's choice and is left alone.
+function photoFields(placesPhotos, fields) {
+  const pinned = parsePhotoIds(fields['Pinned Photos']);
+  const hidden = parsePhotoIds(fields['Hidden Photos']);
+  const gallery = mergeGallery(parseGallery(fields['Photos JSON']), (placesPhotos || []).map(toGalleryPhoto), {
+    pinned
   });
-  return `${url}?${params.toString()}`;
+  const main = arrangeGallery(gallery, { pinned, hidden })[0];
+
+  // An empty gallery is still written ('[]') so places without photos aren't re-selected every run.
+  const update = gallery.length
+    ? {
+        'Photos JSON': JSON.stringify(gallery),
+        'Photo Reference': main?.reference || '',
+        // Google requires attribution if provided
+        'Photo Attribution': main ? main.attributions.map((a) => a.name).join(', ') : ''
+      }
+    : {
+        'Photos JSON': '[]',
+        'Photo Reference': fields['Photo Reference'] || '',
+        'Photo Attribution': fields['Photo Attribution'] || ''
+      };
+  if (isGooglePhotoUrl(fields['Photo URL'])) update['Photo URL'] = '';
+  return update;
 }
 
-function buildPhotoAttribution(photoObj) {
-  // Google requires attribution if provided
-  if (!photoObj || !photoObj.html_attributions?.length) return '';
-  return photoObj.html_attributions.join(' ');
+// ---------- Main photo: placeholders + optional mirror ----------
+// With S3_BUCKET set, the main photo is copied into S3-compatible storage so the feed can serve a
+// permanent, CDN-cacheable URL instead of going through Google on every cache miss.
+const photoMirror = S3_BUCKET
+  ? createPhotoMirror({
+      client: createS3Client({
+        endpoint: S3_ENDPOINT,
+        region: S3_REGION,
+        bucket: S3_BUCKET,
+        accessKeyId: S3_ACCESS_KEY_ID,
+        secretAccessKey: S3_SECRET_ACCESS_KEY,
+        forcePathStyle: parseBoolean(S3_FORCE_PATH_STYLE),
+        publicBaseUrl: S3_PUBLIC_BASE_URL
+      }),
+      keyPrefix: S3_KEY_PREFIX
+    })
+  : null;
+const MIRROR_WIDTH = PHOTO_WIDTHS[PHOTO_WIDTHS.length - 1];
+// Placeholders only need a small image; the mirror's full-size download is reused when there is one.
+const PLACEHOLDER_WIDTH = 400;
+
+// Photos that can't be analysed are marked rather than left blank, otherwise the pending-batch
+// recheck would pick the record up again on every run. A new reference or --refresh-photos retries.
+const unavailablePlaceholderFields = () => ({
+  'Photo Blurhash': PLACEHOLDER_UNAVAILABLE,
+  'Photo Color': '',
+  'Photo Aspect Ratio': null
+});
+
+function placeholderFields(slug, photo) {
+  try {
+    const { blurhash, color, aspectRatio } = analysePhoto(photo);
+    return { 'Photo Blurhash': blurhash, 'Photo Color': color, 'Photo Aspect Ratio': aspectRatio };
+  } catch (error) {
+    console.warn(`[placeholder] ${slug}: ${error.message}`);
+    return unavailablePlaceholderFields();
+  }
+}
+
+// Downloads the main photo at most once per record, and only when something about it is out of
+// date: a new reference, missing placeholders, a missing mirror copy, or --refresh-photos.
+async function mainPhotoFields(slug, reference, fields) {
+  if (!reference) return {};
+
+  const referenceChanged = reference !== fields['Photo Reference'];
+  const needsPlaceholder = refreshPhotos || referenceChanged || !clean(fields['Photo Blurhash']);
+  // A new reference may or may not be a new image; only the download's hash can tell.
+  const needsMirror =
+    Boolean(photoMirror) && (refreshPhotos || referenceChanged || !photoMirror.hasCurrent(slug, fields));
+  if (!needsPlaceholder && !needsMirror) return {};
+
+  let photo;
+  try {
+    photo = await fetchGooglePhoto({
+      reference,
+      width: needsMirror ? MIRROR_WIDTH : PLACEHOLDER_WIDTH,
+      apiKey: GOOGLE_PLACES_API_KEY
+    });
+  } catch (error) {
+    console.warn(`[photo] ${slug}: ${error.message}`);
+    return needsMirror ? photoMirror.staleFields(referenceChanged) : {};
+  }
+
+  return {
+    ...(needsPlaceholder ? placeholderFields(slug, photo) : {}),
+    ...(needsMirror ? await photoMirror.fieldsFor(slug, fields, photo, referenceChanged) : {})
+  };
 }
 
 // ---------- Optional AI copy ----------
@@ -421,6 +534,16 @@ async function generateDescription({ name, cuisine, area, slug }) {
 }
 
 // ---------- Main enrichment ----------
+// Renaming a slug would break its public URL, so a clash with a feed route is left to an editor.
+// The note is added once; the record is skipped until its slug changes.
+async function flagReservedSlug(record, slug) {
+  const notes = clean(record.fields?.['Notes']);
+  const flag = `Slug "${slug}" is reserved by the feed (/restaurants/${slug}); choose another slug.`;
+  console.warn(`Skipping ${record.id}: ${flag}`);
+  if (notes.includes(flag)) return;
+  await upsertBySlug(slug, { Notes: notes ? `${notes}\n${flag}` : flag }, record.id, { omitSlug: true });
+}
+
 async function enrichRecord(record) {
   const fields = record.fields || {};
   const name = clean(fields['Name']);
@@ -438,6 +561,11 @@ async function enrichRecord(record) {
     return;
   }
 
+  if (isReservedSlug(slug)) {
+    await flagReservedSlug(record, slug);
+    return;
+  }
+
   try {
     // Step 1: Find or reuse Place ID
     let placeId = clean(fields['Place ID']);
@@ -486,10 +614,11 @@ async function enrichRecord(record) {
       enrichedStatusValue &&
       typeof fields['Enrichment Status'] === 'string' &&
       fields['Enrichment Status'].trim().toLowerCase() === enrichedStatusValue.trim().toLowerCase();
-    const firstPhoto = details.photos?.[0];
-    const photoUrl = firstPhoto ? buildPhotoUrl(firstPhoto.photo_reference) : '';
-    const photoAttr = firstPhoto ? buildPhotoAttribution(firstPhoto) : '';
-    const areaGuess = city || DEFAULT_CITY;
+    // postal_town is "London" almost everywhere, so the postcode lookup supplies the real area.
+    const area = lookupNeighbourhood(postcode || fields['Postcode']);
+    const neighbourhood = clean(fields['Neighbourhood']) || area?.neighbourhood || '';
+    const borough = clean(fields['Borough']) || area?.borough || '';
+    const areaGuess = neighbourhood || city || DEFAULT_CITY;
 
     const lat = coerceNumericField(
       details.geometry?.location?.lat,
@@ -529,17 +658,31 @@ async function enrichRecord(record) {
       });
     }
 
+    const photos = photoFields(details.photos, fields);
+    Object.assign(photos, await mainPhotoFields(slug, photos['Photo Reference'], fields));
+
     // Step 3: Upsert
     if (isAlreadyEnriched) {
-      await upsertBySlug(
-        slug,
-        {
-          'Photo URL': photoUrl || fields['Photo URL'] || ''
-        },
-        record.id,
-        { omitSlug: true }
-      );
-      console.log(`Updated photo only: ${name} (${slug})`);
+      const refresh = { ...photos };
+      // Closures happen after enrichment, so the status is kept current on every pass.
+      if (details.business_status) refresh['Business Status'] = details.business_status;
+      // Backfill the area for records enriched before neighbourhoods were stored.
+      if (!clean(fields['Neighbourhood']) && neighbourhood) {
+        refresh['Neighbourhood'] = neighbourhood;
+        refresh['Borough'] = borough;
+      }
+      // Backfill stations for records enriched before they were stored, and rewrite them when the
+      // bundled station list has changed since.
+      const stations = JSON.stringify(nearestStations({ lat, lng }));
+      if (stations !== (clean(fields['Nearest Stations JSON']) || '[]')) {
+        refresh['Nearest Stations JSON'] = stations;
+      }
+      // Backfill structured hours for records enriched before periods were stored.
+      if (!clean(fields['Opening Periods JSON'])) {
+        refresh['Opening Periods JSON'] = JSON.stringify(details.opening_hours?.periods || []);
+      }
+      await upsertBySlug(slug, refresh, record.id, { omitSlug: true });
+      console.log(`Refreshed ${name} (${slug}): ${Object.keys(refresh).join(', ')}`);
       return;
     }
 
@@ -550,17 +693,21 @@ async function enrichRecord(record) {
       'Address': details.formatted_address || fields['Address'] || '',
       'City': city || fields['City'] || '',
       'Postcode': postcode || fields['Postcode'] || '',
+      'Neighbourhood': neighbourhood,
+      'Borough': borough,
       'Lat': lat,
       'Lng': lng,
+      'Nearest Stations JSON': JSON.stringify(nearestStations({ lat, lng })),
       'Website': details.website || fields['Website'] || '',
       'Phone': details.formatted_phone_number || details.international_phone_number || fields['Phone'] || '',
       'Cuisine': cuisine,
       'Price Level': priceLevel,
       'Rating': ratingValue,
       'User Ratings': userRatings,
+      'Business Status': details.business_status || fields['Business Status'] || '',
       'Opening Hours JSON': JSON.stringify(details.opening_hours?.weekday_text || []),
-      'Photo URL': photoUrl || fields['Photo URL'] || '',
-      'Photo Attribution': photoAttr || fields['Photo Attribution'] || '',
+      'Opening Periods JSON': JSON.stringify(details.opening_hours?.periods || []),
+      ...photos,
       'Description': description || fields['Description'] || '',
       'Last Enriched': resolveLastEnrichedValue(fields['Last Enriched'])
     };
@@ -601,13 +748,44 @@ const buildStatusFilterFormula = (statuses) => {
   return `OR(\n      ${predicates.join(',\n      ')}\n    )`;
 };
 
+// Ask the feed server to re-read the records this batch wrote (POST /restaurants/_invalidate).
+// Best effort: the feed still picks the changes up when its cache expires.
+async function notifyFeed() {
+  if (!FEED_INVALIDATE_URL || !FEED_WEBHOOK_SECRET || !touchedSlugs.size) return;
+
+  const slugs = [...touchedSlugs];
+  touchedSlugs.clear();
+  const body = JSON.stringify({ slugs });
+  const timestamp = String(Math.floor(Date.now() / 1000));
+
+  try {
+    const { data } = await axios.post(FEED_INVALIDATE_URL, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        [TIMESTAMP_HEADER]: timestamp,
+        [SIGNATURE_HEADER]: signPayload(FEED_WEBHOOK_SECRET, body, timestamp)
+      },
+      timeout: 15000
+    });
+    console.log(`[feed] Refreshed ${data?.updated?.length ?? slugs.length} restaurant(s) in the feed cache.`);
+  } catch (err) {
+    console.warn('[feed] Cache invalidation failed:', err?.response?.data || err.message);
+  }
+}
+
 async function fetchPendingBatch(limit) {
   const statusFilter = buildStatusFilterFormula(statusesToReprocess);
   const descriptionNeedsWork = OPENAI_ENABLED
     ? `OR({Description} = BLANK(), {Description} = '')`
     : null;
 
-  const recheckPredicates = ['{Place ID} = BLANK()', '{Photo URL} = BLANK()'];
+  const recheckPredicates = [
+    '{Place ID} = BLANK()',
+    // Photo Reference is often legitimately blank (no photos); Photos JSON is always written.
+    '{Photos JSON} = BLANK()',
+    'AND({Photo Reference} != BLANK(), {Photo Blurhash} = BLANK())',
+    '{Opening Periods JSON} = BLANK()'
+  ];
 
   if (refreshPhotos) {
     recheckPredicates.push('TRUE()');
@@ -686,6 +864,8 @@ async function run() {
       await sleep(Number(SLEEP_MS_BETWEEN_REQUESTS));
     }
 
+    await notifyFeed();
+
     if (!runContinuously) {
       break;
     }
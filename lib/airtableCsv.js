@@ -0,0 +1,171 @@
+import { readFileSync } from 'node:fs';
+
+import { parseCsv, toCsvLine } from './csv.js';
+import { isReservedSlug, toSlug } from './slug.js';
+
+// airtable_restaurants_seed.csv is the source of truth for column names and order.
+const SEED_CSV_URL = new URL('../airtable_restaurants_seed.csv', import.meta.url);
+
+export const API_SOURCES = ['SevenRooms', 'Tock', 'OpenTable', 'Resy'];
+
+const NUMERIC_RANGES = {
+  Lat: [-90, 90],
+  Lng: [-180, 180],
+  'Price Level': [0, 4],
+  Rating: [0, 5],
+  'User Ratings': [0, Number.POSITIVE_INFINITY],
+  'Photo Aspect Ratio': [0, Number.POSITIVE_INFINITY]
+};
+
+// The worker owns the first two, so imported rows always start life as pending; Airtable
+// computes Last Modified and rejects writes to it.
+const IGNORED_ON_IMPORT = ['Enrichment Status', 'Last Enriched', 'Last Modified'];
+
+export const loadSeedLayout = () => {
+  const headerLine = readFileSync(SEED_CSV_URL, 'utf8').split(/\r?\n/)[0];
+  return { headerLine, columns: parseCsv(headerLine)[0] };
+};
+
+const formatCell = (value) => {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+/**
+ * Serialise raw Airtable records (`{ fields }`) in the seed CSV layout.
+ * The header line is copied verbatim from the seed file so exports re-import cleanly.
+ */
+export const recordsToCsv = (records, layout = loadSeedLayout()) => {
+  const lines = records.map((record) =>
+    toCsvLine(layout.columns.map((column) => formatCell(record.fields?.[column])))
+  );
+  return [layout.headerLine, ...lines].join('\n') + '\n';
+};
+
+const clean = (value) => (value == null ? '' : String(value).trim());
+
+const validateRow = (fields) => {
+  const errors = [];
+
+  if (!fields['Name']) errors.push('Name is required');
+
+  if (fields['Slug'] && toSlug(fields['Slug']) !== fields['Slug']) {
+    errors.push(`Slug "${fields['Slug']}" is not a valid slug (expected "${toSlug(fields['Slug'])}")`);
+  } else if (isReservedSlug(fields['Slug'])) {
+    errors.push(`Slug "${fields['Slug']}" is reserved by the feed (/restaurants/${fields['Slug']})`);
+  }
+
+  if (fields['API Source'] && !API_SOURCES.includes(fields['API Source'])) {
+    errors.push(`API Source must be one of ${API_SOURCES.join(', ')}`);
+  }
+
+  for (const [column, [min, max]] of Object.entries(NUMERIC_RANGES)) {
+    if (fields[column] === undefined) continue;
+    const value = Number(fields[column]);
+    if (!Number.isFinite(value) || value < min || value > max) {
+      errors.push(`${column} must be a number between ${min} and ${max}`);
+    } else {
+      fields[column] = value;
+    }
+  }
+
+  for (const column of ['Opening Hours JSON', 'Opening Periods JSON', 'Photos JSON', 'Nearest Stations JSON']) {
+    if (fields[column] === undefined) continue;
+    try {
+      JSON.parse(fields[column]);
+    } catch (_err) {
+      errors.push(`${column} is not valid JSON`);
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Validate a seed-layout CSV and decide which rows to create.
+ * Rows are deduplicated on Slug and Place ID, both within the file and against `existing`
+ * Airtable records. Returns `{ error, message }` for an unusable file, otherwise
+ * `{ toCreate, duplicates, invalid }` where each entry carries its 1-based CSV line number.
+ */
+export const planImport = (text, { existing = [], status = 'pending', layout = loadSeedLayout() } = {}) => {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) {
+    return { error: 'empty_csv', message: 'The CSV file has no header row.' };
+  }
+
+  const columns = header.map((column) => column.trim());
+  const unknown = columns.filter((column) => !layout.columns.includes(column));
+  if (unknown.length) {
+    return { error: 'unknown_columns', message: `Unknown column(s): ${unknown.join(', ')}` };
+  }
+  if (!columns.includes('Name')) {
+    return { error: 'missing_name_column', message: 'The CSV must include a Name column.' };
+  }
+
+  const slugOwners = new Map();
+  const placeIdOwners = new Map();
+  for (const record of existing) {
+    const slug = clean(record.fields?.['Slug']).toLowerCase();
+    const placeId = clean(record.fields?.['Place ID']);
+    if (slug) slugOwners.set(slug, 'existing record');
+    if (placeId) placeIdOwners.set(placeId, 'existing record');
+  }
+
+  const plan = { toCreate: [], duplicates: [], invalid: [] };
+
+  rows.forEach((values, index) => {
+    const line = index + 2;
+
+    if (values.length !== columns.length) {
+      plan.invalid.push({
+        line,
+        errors: [`Expected ${columns.length} columns but found ${values.length}`]
+      });
+      return;
+    }
+
+    const fields = {};
+    columns.forEach((column, position) => {
+      const value = clean(values[position]);
+      if (value && !IGNORED_ON_IMPORT.includes(column)) fields[column] = value;
+    });
+
+    const errors = validateRow(fields);
+    if (errors.length) {
+      plan.invalid.push({ line, name: fields['Name'] || '', errors });
+      return;
+    }
+
+    const slug = fields['Slug'] || toSlug(fields['Name']);
+    if (!slug) {
+      plan.invalid.push({ line, name: fields['Name'], errors: ['Name does not produce a usable slug'] });
+      return;
+    }
+    if (isReservedSlug(slug)) {
+      const error = `Name produces the reserved slug "${slug}"; set Slug explicitly`;
+      plan.invalid.push({ line, name: fields['Name'], errors: [error] });
+      return;
+    }
+
+    const placeId = fields['Place ID'];
+    const duplicateOf = slugOwners.get(slug) || (placeId && placeIdOwners.get(placeId));
+    if (duplicateOf) {
+      plan.duplicates.push({
+        line,
+        slug,
+        reason: slugOwners.has(slug)
+          ? `slug already used by ${duplicateOf}`
+          : `Place ID already used by ${duplicateOf}`
+      });
+      return;
+    }
+
+    slugOwners.set(slug, `line ${line}`);
+    if (placeId) placeIdOwners.set(placeId, `line ${line}`);
+
+    plan.toCreate.push({ line, slug, fields: { ...fields, Slug: slug, 'Enrichment Status': status } });
+  });
+
+  return plan;
+};
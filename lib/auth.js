@@ -0,0 +1,62 @@
+import { createHmac, timingSafeEqual } from 'node:crypto';
+
+export const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a ?? ''), 'utf8');
+  const right = Buffer.from(String(b ?? ''), 'utf8');
+  return left.length === right.length && timingSafeEqual(left, right);
+};
+
+export const bearerToken = (req) => {
+  const header = req.get('authorization') || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  return match ? match[1].trim() : '';
+};
+
+// True when the request carries the configured internal API token.
+export const hasInternalToken = (req, token) => Boolean(token) && safeEqual(bearerToken(req), token);
+
+/**
+ * Gate for token-only endpoints. Returns null when access is granted, otherwise the
+ * `{ status, error, message }` to respond with.
+ */
+export const checkInternalAccess = (req, token) => {
+  if (!token) {
+    return {
+      status: 403,
+      error: 'internal_access_disabled',
+      message: 'Internal access is disabled. Set FEED_INTERNAL_TOKEN to enable it.'
+    };
+  }
+  if (!hasInternalToken(req, token)) {
+    return {
+      status: 401,
+      error: 'unauthorized',
+      message: 'A valid "Authorization: Bearer <token>" header is required.'
+    };
+  }
+  return null;
+};
+
+/* ------------------------- Webhook signatures ------------------------- */
+
+// `X-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>">`, Stripe-webhook style, with
+// the Unix time in seconds sent as `X-Signature-Timestamp`. Signing the time stops a captured
+// request from being replayed once it is older than SIGNATURE_TOLERANCE_MS.
+export const SIGNATURE_HEADER = 'X-Signature';
+export const TIMESTAMP_HEADER = 'X-Signature-Timestamp';
+export const SIGNATURE_TOLERANCE_MS = 5 * 60 * 1000;
+
+export const signPayload = (secret, body, timestamp) =>
+  `sha256=${createHmac('sha256', secret).update(`${timestamp}.`).update(body).digest('hex')}`;
+
+const isFreshTimestamp = (timestamp, now) =>
+  /^\d+$/.test(timestamp) && Math.abs(now - Number(timestamp) * 1000) <= SIGNATURE_TOLERANCE_MS;
+
+export const hasValidSignature = (req, secret, body, now = Date.now()) => {
+  const timestamp = String(req.get(TIMESTAMP_HEADER) || '').trim();
+  return (
+    Boolean(secret) &&
+    isFreshTimestamp(timestamp, now) &&
+    safeEqual(req.get(SIGNATURE_HEADER), signPayload(secret, body, timestamp))
+  );
+};
@@ -0,0 +1,241 @@
+import { londonWallTime } from './openingHours.js';
+
+export const DEFAULT_PARTY_SIZE = 2;
+export const MAX_PARTY_SIZE = 20;
+export const DEFAULT_DAYS = 14;
+export const MAX_DAYS = 30;
+export const DEFAULT_TIME_SLOT = '19:00';
+export const DEFAULT_SEARCH_WINDOW = 60;
+export const MAX_SEARCH_WINDOW = 240;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+export const DEFAULT_WINDOWS = [
+  { start: '12:00', end: '16:00' },
+  { start: '18:00', end: '22:00' }
+];
+
+const isCalendarDate = (value) => {
+  const match = String(value).match(DATE_PATTERN);
+  if (!match) return false;
+  const [year, month, day] = match.slice(1).map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+};
+
+const parseIntegerParam = (value, name, { fallback, min, max }) => {
+  if (value === undefined || value === '') return { value: fallback };
+  const parsed = Number(value);
+  if (!Number.isInteger(parsed) || parsed < min || parsed > max) {
+    return { error: `invalid_${name}`, message: `${name} must be an integer between ${min} and ${max}.` };
+  }
+  return { value: parsed };
+};
+
+// `windows=12:00-15:00,18:00-22:30` keeps slots starting inside any range (end exclusive, "24:00"
+// allowed); `windows=all` keeps every slot.
+export const parseWindows = (value) => {
+  if (value === undefined || value === '') return { windows: DEFAULT_WINDOWS };
+  if (String(value).trim().toLowerCase() === 'all') return { windows: [] };
+
+  const windows = [];
+  for (const part of String(value).split(',')) {
+    const [start, end] = part.trim().split('-');
+    const validEnd = end === '24:00' || TIME_PATTERN.test(end || '');
+    if (!TIME_PATTERN.test(start || '') || !validEnd || end <= start) {
+      return {
+        error: 'invalid_windows',
+        message: 'windows must be "all" or comma-separated HH:MM-HH:MM ranges, e.g. 12:00-15:00,18:00-22:00.'
+      };
+    }
+    windows.push({ start, end });
+  }
+  return { windows };
+};
+
+/**
+ * Parse `partySize`, `from`, `days`, `time` and `windows` for availability lookups.
+ * `from` defaults to today in London.
+ */
+export const parseAvailabilityQuery = (query) => {
+  const partySize = parseIntegerParam(query.partySize, 'partySize', {
+    fallback: DEFAULT_PARTY_SIZE,
+    min: 1,
+    max: MAX_PARTY_SIZE
+  });
+  if (partySize.error) return partySize;
+
+  const days = parseIntegerParam(query.days, 'days', { fallback: DEFAULT_DAYS, min: 1, max: MAX_DAYS });
+  if (days.error) return days;
+
+  const from = query.from === undefined || query.from === ''
+    ? londonWallTime().toISOString().slice(0, 10)
+    : String(query.from).trim();
+  if (!isCalendarDate(from)) {
+    return { error: 'invalid_from', message: 'from must be a date formatted as YYYY-MM-DD.' };
+  }
+
+  const timeSlot = query.time === undefined || query.time === '' ? DEFAULT_TIME_SLOT : String(query.time).trim();
+  if (!TIME_PATTERN.test(timeSlot)) {
+    return { error: 'invalid_time', message: 'time must be a 24-hour time formatted as HH:MM.' };
+  }
+
+  const windowsResult = parseWindows(query.windows);
+  if (windowsResult.error) return windowsResult;
+
+  return {
+    availability: {
+      partySize: partySize.value,
+      from,
+      days: days.value,
+      timeSlot,
+      windows: windowsResult.windows
+    }
+  };
+};
+
+export const isWithinWindows = (time, windows) =>
+  !windows?.length || windows.some(({ start, end }) => time >= start && time < end);
+
+/**
+ * Short-lived cache for provider lookups. `load(key, loader, { cacheIf })` resolves to
+ * `{ value, fetchedAt, fromCache }`; concurrent misses for the same key share one loader call.
+ * Failures, and values `cacheIf` rejects, are not cached.
+ */
+export const createAvailabilityCache = ({ ttlMs }) => {
+  const entries = new Map();
+  const inflight = new Map();
+
+  const sweep = (now) => {
+    for (const [key, entry] of entries) {
+      if (now - entry.fetchedAt >= ttlMs) entries.delete(key);
+    }
+  };
+
+  const load = async (key, loader, { cacheIf = () => true } = {}) => {
+    const now = Date.now();
+    const entry = entries.get(key);
+    if (entry && now - entry.fetchedAt < ttlMs) {
+      return { ...entry, fromCache: true };
+    }
+
+    if (!inflight.has(key)) {
+      inflight.set(
+        key,
+        Promise.resolve()
+          .then(loader)
+          .then((value) => {
+            sweep(Date.now());
+            const fresh = { value, fetchedAt: Date.now() };
+            if (cacheIf(value)) entries.set(key, fresh);
+            return fresh;
+          })
+          .finally(() => inflight.delete(key))
+      );
+    }
+    return { ...(await inflight.get(key)), fromCache: false };
+  };
+
+  return { ttlMs, load };
+};
+
+// Every YYYY-MM-DD from `from` for `days` days.
+export const datesFrom = (from, days) => {
+  const [year, month, day] = from.split('-').map(Number);
+  return Array.from({ length: days }, (_, offset) =>
+    new Date(Date.UTC(year, month - 1, day + offset)).toISOString().slice(0, 10)
+  );
+};
+
+/**
+ * Shared tail of every booking adapter: keep slots inside `windows`, drop duplicates and sort
+ * earliest first. Slots are `{ date, time, partySize, bookingUrl }` in the venue's local time.
+ */
+export const finaliseSlots = (slots, windows) => {
+  const seen = new Set();
+  return slots
+    .filter((slot) => {
+      const key = `${slot.date}T${slot.time}`;
+      if (!isWithinWindows(slot.time, windows) || seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .sort((a, b) => `${a.date}T${a.time}`.localeCompare(`${b.date}T${b.time}`));
+};
+
+/* ------------------------- Cross-restaurant search ------------------------- */
+
+const pad = (value) => String(value).padStart(2, '0');
+
+export const minutesOf = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// `window` minutes either side of `time`, clamped to the same day.
+export const windowAround = (time, window) => {
+  const centre = minutesOf(time);
+  const start = Math.max(0, centre - window);
+  const end = Math.min(24 * 60, centre + window + 1);
+  return [
+    {
+      start: `${pad(Math.floor(start / 60))}:${pad(start % 60)}`,
+      end: `${pad(Math.floor(end / 60))}:${pad(end % 60)}`
+    }
+  ];
+};
+
+/**
+ * Parse `date`, `time`, `window` (minutes either side of `time`) and `partySize` for
+ * GET /restaurants/availability. `date` defaults to today in London.
+ */
+export const parseAvailabilitySearchQuery = (query) => {
+  const partySize = parseIntegerParam(query.partySize, 'partySize', {
+    fallback: DEFAULT_PARTY_SIZE,
+    min: 1,
+    max: MAX_PARTY_SIZE
+  });
+  if (partySize.error) return partySize;
+
+  const window = parseIntegerParam(query.window, 'window', {
+    fallback: DEFAULT_SEARCH_WINDOW,
+    min: 0,
+    max: MAX_SEARCH_WINDOW
+  });
+  if (window.error) return window;
+
+  const date = query.date === undefined || query.date === ''
+    ? londonWallTime().toISOString().slice(0, 10)
+    : String(query.date).trim();
+  if (!isCalendarDate(date)) {
+    return { error: 'invalid_date', message: 'date must be formatted as YYYY-MM-DD.' };
+  }
+
+  const time = query.time === undefined || query.time === '' ? DEFAULT_TIME_SLOT : String(query.time).trim();
+  if (!TIME_PATTERN.test(time)) {
+    return { error: 'invalid_time', message: 'time must be a 24-hour time formatted as HH:MM.' };
+  }
+
+  return { search: { date, time, window: window.value, partySize: partySize.value } };
+};
+
+// Slots on `date` inside the window, each with `offsetMinutes` from `time`, closest first.
+export const rankSlots = (slots, { date, time, window }) => {
+  const windows = windowAround(time, window);
+  const target = minutesOf(time);
+  return slots
+    .filter((slot) => slot.date === date && isWithinWindows(slot.time, windows))
+    .map((slot) => ({ ...slot, offsetMinutes: minutesOf(slot.time) - target }))
+    .sort((a, b) => Math.abs(a.offsetMinutes) - Math.abs(b.offsetMinutes) || a.offsetMinutes - b.offsetMinutes);
+};
+
+export const withTimeout = (promise, ms) => {
+  let timer;
+  const timeout = new Promise((_resolve, reject) => {
+    timer = setTimeout(() => {
+      reject(Object.assign(new Error(`Timed out after ${ms}ms`), { code: 'ETIMEDOUT' }));
+    }, ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
@@ -0,0 +1,63 @@
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+// Snapshot stores persist the last good Airtable load so a fresh instance can serve data
+// before (or without) reaching Airtable. A store is any object with:
+//
+//   read(): Promise<snapshot | null>
+//   write(snapshot): Promise<void>
+//
+// where `snapshot` is a plain JSON-serialisable object (`{ records, fetchedAt, tombstones, trackedSince }`).
+
+// Overlapping writes from the same process each need their own temp file.
+let tempCounter = 0;
+
+export const createFileStore = ({ filePath }) => {
+  if (!filePath) {
+    throw new Error('createFileStore requires a filePath.');
+  }
+
+  const resolved = path.resolve(filePath);
+
+  return {
+    name: `file:${resolved}`,
+
+    async read() {
+      try {
+        return JSON.parse(await readFile(resolved, 'utf8'));
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    // Write to a temp file first so a crash mid-write never leaves a truncated snapshot.
+    async write(snapshot) {
+      await mkdir(path.dirname(resolved), { recursive: true });
+      const tempPath = `${resolved}.${process.pid}.${(tempCounter += 1)}.tmp`;
+      await writeFile(tempPath, JSON.stringify(snapshot), 'utf8');
+      await rename(tempPath, resolved);
+    }
+  };
+};
+
+// Works with any client exposing promise-based `get(key)` and `set(key, value)`,
+// e.g. node-redis v4, ioredis or an Upstash REST client.
+export const createRedisStore = ({ client, key = 'eating-london:restaurants:snapshot' }) => {
+  if (!client || typeof client.get !== 'function' || typeof client.set !== 'function') {
+    throw new Error('createRedisStore requires a client with get(key) and set(key, value).');
+  }
+
+  return {
+    name: `redis:${key}`,
+
+    async read() {
+      const raw = await client.get(key);
+      return raw ? JSON.parse(raw) : null;
+    },
+
+    async write(snapshot) {
+      await client.set(key, JSON.stringify(snapshot));
+    }
+  };
+};
@@ -0,0 +1,114 @@
+// Delta sync for GET /restaurants/changes: which restaurants were published, edited or withdrawn
+// after a point in time. Edits are dated by Airtable's `Last Modified` field; withdrawals (deleted
+// or unpublished records) are noticed by the restaurants source and kept as tombstones.
+
+export const TOMBSTONE_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+// Cursors point this far back from the load they were issued against, so an edit that landed
+// while Airtable was being read (or under a little clock skew) is sent again rather than missed.
+export const CURSOR_OVERLAP_MS = 60000;
+
+const slugKey = (slug) => String(slug || '').toLowerCase();
+
+const timeOf = (value) => {
+  const ms = Date.parse(value || '');
+  return Number.isFinite(ms) ? ms : 0;
+};
+
+/**
+ * Removal history for a freshly built cache. Slugs that were public in `previous` but aren't in
+ * `data` get a tombstone dated `now`; slugs published again lose theirs. `trackedSince` is the
+ * earliest time from which every removal is known. It starts at the first load and moves forward
+ * as tombstones older than TOMBSTONE_RETENTION_MS are dropped.
+ */
+export const trackRemovals = (previous, data, now = Date.now()) => {
+  const expiry = now - TOMBSTONE_RETENTION_MS;
+  if (!previous?.data) return { tombstones: [], trackedSince: now - CURSOR_OVERLAP_MS };
+
+  const published = new Set(data.map((restaurant) => slugKey(restaurant.slug)));
+  const removed = previous.data
+    .filter((restaurant) => restaurant.slug && !published.has(slugKey(restaurant.slug)))
+    .map((restaurant) => ({ slug: restaurant.slug, removedAt: now }));
+  const removedSlugs = new Set(removed.map((tombstone) => slugKey(tombstone.slug)));
+
+  return {
+    tombstones: (previous.tombstones || [])
+      .filter(({ slug, removedAt }) =>
+        removedAt >= expiry && !published.has(slugKey(slug)) && !removedSlugs.has(slugKey(slug))
+      )
+      .concat(removed),
+    trackedSince: Math.max(previous.trackedSince ?? 0, expiry)
+  };
+};
+
+/* ------------------------- Cursors ------------------------- */
+
+// `at` (ms) and `slug` mark the last change a client has seen; `full` marks the pages of a
+// first sync, which list current restaurants only.
+export const encodeChangesCursor = ({ at, slug = '', full = false }) =>
+  Buffer.from(JSON.stringify(full ? { at, slug, full } : { at, slug }), 'utf8').toString('base64url');
+
+const decodeChangesCursor = (cursor) => {
+  try {
+    const { at, slug = '', full = false } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (!Number.isInteger(at) || at < 0 || typeof slug !== 'string') return null;
+    return { at, slug, full: full === true };
+  } catch (_err) {
+    return null;
+  }
+};
+
+/**
+ * Parse `since`: an ISO 8601 timestamp or a `nextCursor` from an earlier response.
+ * Returns `{ since }` (null for a first, full sync) or `{ error, message }`.
+ */
+export const parseSince = (value) => {
+  if (value === undefined) return { since: null };
+
+  const text = String(value).trim();
+  if (/^\d{4}-\d{2}-\d{2}/.test(text)) {
+    const at = Date.parse(text);
+    if (Number.isFinite(at)) return { since: { at, slug: '', full: false } };
+  } else {
+    const since = decodeChangesCursor(text);
+    if (since) return { since };
+  }
+
+  return {
+    error: 'invalid_since',
+    message: 'since must be an ISO 8601 timestamp or a nextCursor returned by /restaurants/changes.'
+  };
+};
+
+/* ------------------------- Change List ------------------------- */
+
+// Oldest first; the slug breaks ties so a cursor can resume between changes made in the same millisecond.
+const compareChanges = (a, b) => {
+  if (a.at !== b.at) return a.at - b.at;
+  const [slugA, slugB] = [slugKey(a.slug), slugKey(b.slug)];
+  return slugA < slugB ? -1 : slugA > slugB ? 1 : 0;
+};
+
+/**
+ * Changes after `since`, oldest first, at most `limit`: `{ changes, hasMore }`.
+ *
+ * `published` lists `{ restaurant, createdAt, updatedAt }` for every public restaurant. Each change
+ * is `{ type, slug, at, restaurant }` (`created` / `updated`) or `{ type: 'removed', slug, at }`,
+ * with `at` in ms. Without `since` (or on a full-sync page) only current restaurants are listed.
+ */
+export const collectChanges = ({ published, tombstones }, since, { limit }) => {
+  const full = !since || since.full;
+  const upserts = published.map(({ restaurant, createdAt, updatedAt }) => ({
+    type: full || timeOf(createdAt) > since.at ? 'created' : 'updated',
+    slug: restaurant.slug,
+    at: Math.max(timeOf(createdAt), timeOf(updatedAt)),
+    restaurant
+  }));
+  const removals = full ? [] : tombstones.map(({ slug, removedAt }) => ({ type: 'removed', slug, at: removedAt }));
+
+  const matching = upserts
+    .concat(removals)
+    .filter((change) => !since || compareChanges(change, since) > 0)
+    .sort(compareChanges);
+
+  return { changes: matching.slice(0, limit), hasMore: matching.length > limit };
+};
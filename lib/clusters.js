@@ -0,0 +1,97 @@
+// Map pin clustering in Web Mercator pixel space, so a cluster covers the same area on screen at
+// every zoom. Greedy: the best-rated unclustered restaurant absorbs its unclustered neighbours.
+
+import { hasCoordinates } from './geo.js';
+
+const TILE_SIZE = 256;
+// Web Mercator stops here; beyond it y runs off to infinity.
+const MAX_LATITUDE = 85.05112878;
+export const MAX_CLUSTER_ZOOM = 16;
+const DEFAULT_RADIUS_PX = 60;
+const DEFAULT_SAMPLE_SIZE = 3;
+
+const project = ({ lat, lng }, zoom) => {
+  const scale = TILE_SIZE * 2 ** zoom;
+  const sin = Math.sin((Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, lat)) * Math.PI) / 180);
+  return {
+    x: ((lng + 180) / 360) * scale,
+    y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * scale
+  };
+};
+
+const byRating = (a, b) =>
+  (b.rating ?? -1) - (a.rating ?? -1) || (b.userRatings ?? 0) - (a.userRatings ?? 0) || a.name.localeCompare(b.name);
+
+const round = (value) => Math.round(value * 1e6) / 1e6;
+
+const summarise = (members, sampleSize) => {
+  const lats = members.map((member) => member.lat);
+  const lngs = members.map((member) => member.lng);
+  return {
+    count: members.length,
+    centroid: {
+      lat: round(lats.reduce((sum, lat) => sum + lat, 0) / members.length),
+      lng: round(lngs.reduce((sum, lng) => sum + lng, 0) / members.length)
+    },
+    bounds: {
+      minLng: Math.min(...lngs),
+      minLat: Math.min(...lats),
+      maxLng: Math.max(...lngs),
+      maxLat: Math.max(...lats)
+    },
+    sample: members.slice(0, sampleSize)
+  };
+};
+
+/**
+ * Group restaurants into clusters for a map at `zoom`. Returns `{ clusters, points }`: clusters hold
+ * `{ count, centroid, bounds, sample }` (sample = top-rated members), and restaurants with nobody
+ * within `radiusPx` come back as points. From MAX_CLUSTER_ZOOM up every restaurant is a point.
+ */
+export const clusterRestaurants = (
+  restaurants,
+  { zoom, radiusPx = DEFAULT_RADIUS_PX, sampleSize = DEFAULT_SAMPLE_SIZE }
+) => {
+  const located = restaurants.filter(hasCoordinates).sort(byRating);
+  if (zoom >= MAX_CLUSTER_ZOOM) return { clusters: [], points: located };
+
+  // Grid of radius-sized cells, so each lookup only checks the 3×3 cells around a point.
+  const projected = located.map((restaurant) => ({ restaurant, ...project(restaurant, zoom) }));
+  const grid = new Map();
+  const cellOf = (x, y) => `${Math.floor(x / radiusPx)}:${Math.floor(y / radiusPx)}`;
+  for (const entry of projected) {
+    const key = cellOf(entry.x, entry.y);
+    if (!grid.has(key)) grid.set(key, []);
+    grid.get(key).push(entry);
+  }
+
+  const assigned = new Set();
+  const clusters = [];
+  const points = [];
+
+  for (const seed of projected) {
+    if (assigned.has(seed)) continue;
+
+    const members = [];
+    const cx = Math.floor(seed.x / radiusPx);
+    const cy = Math.floor(seed.y / radiusPx);
+    for (let dx = -1; dx <= 1; dx += 1) {
+      for (let dy = -1; dy <= 1; dy += 1) {
+        for (const entry of grid.get(`${cx + dx}:${cy + dy}`) || []) {
+          if (assigned.has(entry)) continue;
+          if (Math.hypot(entry.x - seed.x, entry.y - seed.y) > radiusPx) continue;
+          members.push(entry);
+        }
+      }
+    }
+
+    members.forEach((entry) => assigned.add(entry));
+    if (members.length === 1) {
+      points.push(seed.restaurant);
+    } else {
+      clusters.push(summarise(members.map((entry) => entry.restaurant).sort(byRating), sampleSize));
+    }
+  }
+
+  return { clusters, points };
+};
@@ -0,0 +1,198 @@
+import { isOpenAt, parseWallTime } from './openingHours.js';
+import { findStation } from './stations.js';
+
+const PRICE_LEVEL_MIN = 0;
+const PRICE_LEVEL_MAX = 4;
+
+const normalise = (value) => String(value || '').trim().toLowerCase();
+
+const splitList = (value) =>
+  String(value)
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+
+// "E8 3RL" → "E8", "SW1A1AA" → "SW1A". The inward code is always three characters.
+export const postcodeDistrict = (postcode) => {
+  const compact = String(postcode || '').trim().toUpperCase();
+  if (!compact) return '';
+  if (compact.includes(' ')) return compact.split(/\s+/)[0];
+  return compact.length > 4 ? compact.slice(0, -3) : compact;
+};
+
+const parseListParam = (value, name) => {
+  if (Array.isArray(value)) value = value.join(',');
+  const entries = splitList(value);
+  if (!entries.length) {
+    return { error: `invalid_${name}`, message: `${name} must not be empty.` };
+  }
+  return { value: entries };
+};
+
+const parsePriceLevel = (value) => {
+  const invalid = {
+    error: 'invalid_priceLevel',
+    message: `priceLevel must be a level (e.g. 2) or a range (e.g. 1-3) between ${PRICE_LEVEL_MIN} and ${PRICE_LEVEL_MAX}.`
+  };
+  const match = String(value).trim().match(/^(\d)(?:\s*-\s*(\d))?$/);
+  if (!match) return invalid;
+
+  const min = Number(match[1]);
+  const max = match[2] === undefined ? min : Number(match[2]);
+  if (min < PRICE_LEVEL_MIN || max > PRICE_LEVEL_MAX || min > max) return invalid;
+
+  return { value: { min, max } };
+};
+
+const parseMinimum = (value, name) => {
+  const parsed = Number(value);
+  if (String(value).trim() === '' || !Number.isFinite(parsed) || parsed < 0) {
+    return { error: `invalid_${name}`, message: `${name} must be a non-negative number.` };
+  }
+  return { value: parsed };
+};
+
+/**
+ * Parse the attribute filters supported by the feed.
+ * Returns `{ filters }` (null when nothing was requested) or `{ error, message }`.
+ */
+export const parseFilters = (query = {}) => {
+  const filters = {};
+
+  if (query.cuisine !== undefined) {
+    const parsed = parseListParam(query.cuisine, 'cuisine');
+    if (parsed.error) return parsed;
+    filters.cuisine = parsed.value.map(normalise);
+  }
+
+  if (query.priceLevel !== undefined) {
+    const parsed = parsePriceLevel(query.priceLevel);
+    if (parsed.error) return parsed;
+    filters.priceLevel = parsed.value;
+  }
+
+  if (query.minRating !== undefined) {
+    const parsed = parseMinimum(query.minRating, 'minRating');
+    if (parsed.error) return parsed;
+    filters.minRating = parsed.value;
+  }
+
+  if (query.minUserRatings !== undefined) {
+    const parsed = parseMinimum(query.minUserRatings, 'minUserRatings');
+    if (parsed.error) return parsed;
+    filters.minUserRatings = parsed.value;
+  }
+
+  if (query.city !== undefined) {
+    const parsed = parseListParam(query.city, 'city');
+    if (parsed.error) return parsed;
+    filters.city = parsed.value.map(normalise);
+  }
+
+  if (query.area !== undefined) {
+    const parsed = parseListParam(query.area, 'area');
+    if (parsed.error) return parsed;
+    filters.area = parsed.value.map(normalise);
+  }
+
+  if (query.nearStation !== undefined) {
+    const parsed = parseListParam(query.nearStation, 'nearStation');
+    if (parsed.error) return parsed;
+    const unknown = parsed.value.filter((name) => !findStation(name));
+    if (unknown.length) {
+      return { error: 'invalid_nearStation', message: `Unknown station: ${unknown.join(', ')}.` };
+    }
+    filters.nearStation = parsed.value.map((name) => findStation(name).id);
+  }
+
+  if (query.district !== undefined) {
+    const parsed = parseListParam(query.district, 'district');
+    if (parsed.error) return parsed;
+    filters.district = parsed.value.map(postcodeDistrict);
+  }
+
+  if (query.openAt !== undefined) {
+    const parsed = parseWallTime(query.openAt, 'openAt');
+    if (parsed.error) return parsed;
+    filters.openAt = parsed.value;
+  }
+
+  return { filters: Object.keys(filters).length ? filters : null };
+};
+
+const matchesFilters = (restaurant, filters) => {
+  if (filters.cuisine && !filters.cuisine.includes(normalise(restaurant.cuisine))) {
+    return false;
+  }
+
+  if (filters.priceLevel) {
+    const { priceLevel } = restaurant;
+    if (priceLevel === null || priceLevel < filters.priceLevel.min || priceLevel > filters.priceLevel.max) {
+      return false;
+    }
+  }
+
+  if (filters.minRating !== undefined && !(restaurant.rating >= filters.minRating)) {
+    return false;
+  }
+
+  if (filters.minUserRatings !== undefined && !(restaurant.userRatings >= filters.minUserRatings)) {
+    return false;
+  }
+
+  if (filters.city && !filters.city.includes(normalise(restaurant.city))) {
+    return false;
+  }
+
+  // An area is a neighbourhood ("soho") or a whole borough ("hackney").
+  if (
+    filters.area &&
+    !filters.area.includes(normalise(restaurant.neighbourhood)) &&
+    !filters.area.includes(normalise(restaurant.borough))
+  ) {
+    return false;
+  }
+
+  if (
+    filters.nearStation &&
+    !(restaurant.nearestStations || []).some((station) => filters.nearStation.includes(station.id))
+  ) {
+    return false;
+  }
+
+  if (filters.district && !filters.district.includes(postcodeDistrict(restaurant.postcode))) {
+    return false;
+  }
+
+  if (filters.openAt && !isOpenAt(restaurant.schedule, filters.openAt)) {
+    return false;
+  }
+
+  return true;
+};
+
+export const applyFilters = (restaurants, filters) => {
+  if (!filters) return restaurants;
+  return restaurants.filter((restaurant) => matchesFilters(restaurant, filters));
+};
+
+const countBy = (restaurants, pick) => {
+  const counts = new Map();
+  for (const restaurant of restaurants) {
+    const value = pick(restaurant);
+    if (value === null || value === undefined || value === '') continue;
+    counts.set(value, (counts.get(value) || 0) + 1);
+  }
+
+  return [...counts.entries()]
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)));
+};
+
+export const buildFacets = (restaurants) => ({
+  cuisine: countBy(restaurants, (restaurant) => restaurant.cuisine || null),
+  priceLevel: countBy(restaurants, (restaurant) => restaurant.priceLevel),
+  district: countBy(restaurants, (restaurant) => postcodeDistrict(restaurant.postcode) || null),
+  neighbourhood: countBy(restaurants, (restaurant) => restaurant.neighbourhood || null),
+  borough: countBy(restaurants, (restaurant) => restaurant.borough || null)
+});
@@ -0,0 +1,140 @@
+const EARTH_RADIUS_METERS = 6371008.8;
+const MAX_RADIUS_METERS = 50000;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+const isLatitude = (value) => Number.isFinite(value) && value >= -90 && value <= 90;
+const isLongitude = (value) => Number.isFinite(value) && value >= -180 && value <= 180;
+
+export const hasCoordinates = (restaurant) =>
+  isLatitude(restaurant?.lat) && isLongitude(restaurant?.lng);
+
+export const haversineMeters = (from, to) => {
+  const dLat = toRadians(to.lat - from.lat);
+  const dLng = toRadians(to.lng - from.lng);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+const parseNumberList = (value, expected) => {
+  if (typeof value !== 'string') return null;
+  const parts = value.split(',').map((part) => part.trim());
+  if (parts.length !== expected || parts.some((part) => part === '')) return null;
+  const numbers = parts.map(Number);
+  return numbers.every(Number.isFinite) ? numbers : null;
+};
+
+const parseNear = (value) => {
+  const numbers = parseNumberList(value, 2);
+  if (!numbers || !isLatitude(numbers[0]) || !isLongitude(numbers[1])) {
+    return { error: 'invalid_near', message: 'near must be "lat,lng" with valid coordinates.' };
+  }
+  return { value: { lat: numbers[0], lng: numbers[1] } };
+};
+
+const parseRadius = (value) => {
+  const radius = Number(value);
+  if (!Number.isFinite(radius) || radius <= 0 || radius > MAX_RADIUS_METERS) {
+    return {
+      error: 'invalid_radius',
+      message: `radius must be a number of metres between 1 and ${MAX_RADIUS_METERS}.`
+    };
+  }
+  return { value: radius };
+};
+
+const parseBbox = (value) => {
+  const numbers = parseNumberList(value, 4);
+  const invalid = {
+    error: 'invalid_bbox',
+    message: 'bbox must be "minLng,minLat,maxLng,maxLat" with valid coordinates.'
+  };
+  if (!numbers) return invalid;
+
+  const [minLng, minLat, maxLng, maxLat] = numbers;
+  if (
+    !isLongitude(minLng) ||
+    !isLongitude(maxLng) ||
+    !isLatitude(minLat) ||
+    !isLatitude(maxLat) ||
+    minLng > maxLng ||
+    minLat > maxLat
+  ) {
+    return invalid;
+  }
+
+  return { value: { minLng, minLat, maxLng, maxLat } };
+};
+
+/**
+ * Parse `near`, `radius` and `bbox` query params.
+ * Returns `{ geo }` (null when no geo params were given) or `{ error, message }`.
+ */
+export const parseGeoQuery = (query = {}) => {
+  const { near, radius, bbox } = query;
+
+  if (near === undefined && bbox === undefined) {
+    if (radius !== undefined) {
+      return { error: 'invalid_radius', message: 'radius requires a near=lat,lng point.' };
+    }
+    return { geo: null };
+  }
+
+  const geo = { near: null, radius: null, bbox: null };
+
+  if (near !== undefined) {
+    const parsed = parseNear(near);
+    if (parsed.error) return parsed;
+    geo.near = parsed.value;
+  }
+
+  if (radius !== undefined) {
+    if (!geo.near) {
+      return { error: 'invalid_radius', message: 'radius requires a near=lat,lng point.' };
+    }
+    const parsed = parseRadius(radius);
+    if (parsed.error) return parsed;
+    geo.radius = parsed.value;
+  }
+
+  if (bbox !== undefined) {
+    const parsed = parseBbox(bbox);
+    if (parsed.error) return parsed;
+    geo.bbox = parsed.value;
+  }
+
+  return { geo };
+};
+
+const bboxCentre = ({ minLng, minLat, maxLng, maxLat }) => ({
+  lat: (minLat + maxLat) / 2,
+  lng: (minLng + maxLng) / 2
+});
+
+const insideBbox = (restaurant, { minLng, minLat, maxLng, maxLat }) =>
+  restaurant.lat >= minLat &&
+  restaurant.lat <= maxLat &&
+  restaurant.lng >= minLng &&
+  restaurant.lng <= maxLng;
+
+/**
+ * Filter restaurants to the requested area and sort them by distance.
+ * Distances are measured from `near` when given, otherwise from the bbox centre.
+ */
+export const applyGeoQuery = (restaurants, geo) => {
+  if (!geo) return restaurants;
+
+  const origin = geo.near || bboxCentre(geo.bbox);
+
+  return restaurants
+    .filter(hasCoordinates)
+    .filter((restaurant) => !geo.bbox || insideBbox(restaurant, geo.bbox))
+    .map((restaurant) => ({
+      ...restaurant,
+      distanceMeters: Math.round(haversineMeters(origin, restaurant))
+    }))
+    .filter((restaurant) => geo.radius === null || restaurant.distanceMeters <= geo.radius)
+    .sort((a, b) => a.distanceMeters - b.distanceMeters);
+};
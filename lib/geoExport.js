@@ -0,0 +1,99 @@
+import { hasCoordinates } from './geo.js';
+import { escapeXml } from './xml.js';
+
+// Flat properties only: Mapbox Studio and Google My Maps both drop or stringify nested objects.
+const EXPORT_PROPERTIES = [
+  'name',
+  'slug',
+  'address',
+  'city',
+  'postcode',
+  'cuisine',
+  'priceLevel',
+  'rating',
+  'userRatings',
+  'website',
+  'phone',
+  'instagram',
+  'photoUrl',
+  'description'
+];
+
+const pickProperties = (restaurant) =>
+  Object.fromEntries(EXPORT_PROPERTIES.map((key) => [key, restaurant[key] ?? null]));
+
+/**
+ * Split restaurants into mappable ones and the `{ slug, name }` of those without coordinates.
+ */
+export const partitionMappable = (restaurants) => {
+  const mappable = [];
+  const skipped = [];
+  for (const restaurant of restaurants) {
+    if (hasCoordinates(restaurant)) {
+      mappable.push(restaurant);
+    } else {
+      skipped.push({ slug: restaurant.slug, name: restaurant.name });
+    }
+  }
+  return { mappable, skipped };
+};
+
+export const toGeoJson = (restaurants, { generatedAt } = {}) => {
+  const { mappable, skipped } = partitionMappable(restaurants);
+
+  return {
+    type: 'FeatureCollection',
+    metadata: {
+      generatedAt,
+      count: mappable.length,
+      skippedCount: skipped.length,
+      skipped
+    },
+    features: mappable.map((restaurant) => ({
+      type: 'Feature',
+      id: restaurant.slug,
+      geometry: { type: 'Point', coordinates: [restaurant.lng, restaurant.lat] },
+      properties: pickProperties(restaurant)
+    }))
+  };
+};
+
+const kmlPlacemark = (restaurant) => {
+  const summary = [restaurant.cuisine, restaurant.address, restaurant.website]
+    .filter(Boolean)
+    .join('\n');
+  const data = Object.entries(pickProperties(restaurant))
+    .filter(([, value]) => value !== null && value !== '')
+    .map(([key, value]) => `        <Data name="${key}"><value>${escapeXml(value)}</value></Data>`)
+    .join('\n');
+
+  return [
+    '    <Placemark>',
+    `      <name>${escapeXml(restaurant.name)}</name>`,
+    `      <description>${escapeXml(summary)}</description>`,
+    '      <ExtendedData>',
+    data,
+    '      </ExtendedData>',
+    `      <Point><coordinates>${restaurant.lng},${restaurant.lat},0</coordinates></Point>`,
+    '    </Placemark>'
+  ].join('\n');
+};
+
+export const toKml = (restaurants, { generatedAt, title = 'Eating London restaurants' } = {}) => {
+  const { mappable, skipped } = partitionMappable(restaurants);
+  const skippedNote = skipped.length
+    ? `Skipped ${skipped.length} restaurant(s) without coordinates: ${skipped.map((r) => r.slug).join(', ')}`
+    : 'All restaurants have coordinates.';
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2">',
+    '  <Document>',
+    `    <name>${escapeXml(title)}</name>`,
+    `    <description>${escapeXml(`Generated ${generatedAt}. ${skippedNote}`)}</description>`,
+    ...mappable.map(kmlPlacemark),
+    '  </Document>',
+    '</kml>',
+    ''
+  ].join('\n');
+};
@@ -25,7 +25,7 @@ const sanitizeInstagramUsername = (username) => {
   return username.replace(/[^A-Za-z0-9_.]/g, '').replace(/^\./, '').replace(/\.+$/, '');
 };
 
-const toInstagramUrl = (username) => `https://www.instagram.com/${username}/`;
+export const toInstagramUrl = (username) => `https://www.instagram.com/${username}/`;
 
 const extractFromHtml = (html) => {
   if (!html || typeof html !== 'string') return null;
@@ -55,6 +55,19 @@ const extractFromHtml = (html) => {
   return null;
 };
 
+// Accepts a profile URL (as stored in the Instagram field), an @handle or a bare username.
+export const instagramUsernameOf = (value) => {
+  const trimmed = String(value || '').trim();
+  if (!trimmed) return '';
+
+  const linkMatch = trimmed.match(/instagram\.com\/([A-Za-z0-9_.]{1,30})/i);
+  const candidate = linkMatch ? linkMatch[1] : trimmed.replace(/^@/, '');
+  if (['p', 'explore', 'stories', 'reels', 'reel', 'tv', 'accounts'].includes(candidate.toLowerCase())) {
+    return '';
+  }
+  return sanitizeInstagramUsername(candidate).toLowerCase();
+};
+
 export const hasInstagramSkipNote = (notes) => {
   if (!notes) return false;
   return String(notes).includes(INSTAGRAM_SKIP_SENTINEL);
@@ -0,0 +1,154 @@
+import { instagramUsernameOf, toInstagramUrl } from './instagram.js';
+import { escapeXml } from './xml.js';
+
+// schema.org output for restaurant pages: a Restaurant JSON-LD document per slug and a sitemap.
+
+const SCHEMA_DAYS = {
+  monday: 'https://schema.org/Monday',
+  tuesday: 'https://schema.org/Tuesday',
+  wednesday: 'https://schema.org/Wednesday',
+  thursday: 'https://schema.org/Thursday',
+  friday: 'https://schema.org/Friday',
+  saturday: 'https://schema.org/Saturday',
+  sunday: 'https://schema.org/Sunday'
+};
+
+const COUNTRY_SEGMENTS = ['uk', 'united kingdom', 'england'];
+
+export const restaurantPageUrl = (siteBaseUrl, slug) =>
+  `${String(siteBaseUrl).replace(/\/+$/, '')}/restaurants/${encodeURIComponent(slug)}`;
+
+// Google's formatted_address repeats city, postcode and country; schema.org wants them separately.
+const streetAddressOf = ({ address, city, postcode }) => {
+  const segments = String(address || '')
+    .split(',')
+    .map((segment) => segment.trim())
+    .filter(Boolean);
+  const lowerCity = String(city || '').toLowerCase();
+  const lowerPostcode = String(postcode || '').toLowerCase();
+
+  return segments
+    .filter((segment) => {
+      const lower = segment.toLowerCase();
+      if (COUNTRY_SEGMENTS.includes(lower)) return false;
+      if (lowerPostcode && lower.includes(lowerPostcode)) return false;
+      return !lowerCity || lower !== lowerCity;
+    })
+    .join(', ');
+};
+
+// Google's price level 0 means "free", which has no £ rendering, so the field is left out.
+const priceRangeOf = (priceLevel) => {
+  const level = Math.round(Number(priceLevel));
+  return level > 0 ? '£'.repeat(level) : undefined;
+};
+
+const isHttpUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (_err) {
+    return false;
+  }
+};
+
+// The Instagram field holds a profile URL or a handle ("@padella"); handles become profile URLs
+// the same way the Instagram route resolves them. Anything else can't be a sameAs link.
+const instagramUrlOf = (value) => {
+  const trimmed = String(value || '').trim();
+  if (isHttpUrl(trimmed)) return trimmed;
+  if (!/instagram\.com\//i.test(trimmed) && !/^@?[A-Za-z0-9_.]+$/.test(trimmed)) return undefined;
+  const username = instagramUsernameOf(trimmed);
+  return username ? toInstagramUrl(username) : undefined;
+};
+
+const openingHoursSpecificationOf = (schedule) => {
+  const specs = [];
+  for (const [day, slots] of Object.entries(schedule || {})) {
+    for (const { opens, closes } of slots) {
+      specs.push({
+        '@type': 'OpeningHoursSpecification',
+        dayOfWeek: SCHEMA_DAYS[day],
+        opens,
+        closes: closes === '24:00' ? '23:59' : closes
+      });
+    }
+  }
+  return specs.length ? specs : undefined;
+};
+
+// JSON.stringify drops undefined values, so optional properties simply disappear when unknown.
+const orUndefined = (value) => (value === '' || value === null ? undefined : value);
+
+export const toRestaurantJsonLd = (restaurant, { siteBaseUrl }) => {
+  const pageUrl = restaurantPageUrl(siteBaseUrl, restaurant.slug);
+  const sameAs = [String(restaurant.website || '').trim(), instagramUrlOf(restaurant.instagram)].filter(isHttpUrl);
+  const hasCoordinates = Number.isFinite(restaurant.lat) && Number.isFinite(restaurant.lng);
+  const hasRating = Number.isFinite(restaurant.rating) && Number.isFinite(restaurant.userRatings);
+
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'Restaurant',
+    '@id': `${pageUrl}#restaurant`,
+    url: pageUrl,
+    name: restaurant.name,
+    description: orUndefined(restaurant.description),
+    // The feed's photo proxy URL is relative unless PUBLIC_BASE_URL is set; schema.org needs absolute.
+    image: /^https?:\/\//i.test(restaurant.photoUrl || '') ? restaurant.photoUrl : undefined,
+    telephone: orUndefined(restaurant.phone),
+    sameAs: sameAs.length ? sameAs : undefined,
+    servesCuisine: orUndefined(restaurant.cuisine),
+    priceRange: priceRangeOf(restaurant.priceLevel),
+    address: {
+      '@type': 'PostalAddress',
+      streetAddress: orUndefined(streetAddressOf(restaurant)),
+      addressLocality: orUndefined(restaurant.city),
+      postalCode: orUndefined(restaurant.postcode),
+      addressCountry: 'GB'
+    },
+    geo: hasCoordinates
+      ? { '@type': 'GeoCoordinates', latitude: restaurant.lat, longitude: restaurant.lng }
+      : undefined,
+    openingHoursSpecification: openingHoursSpecificationOf(restaurant.schedule),
+    aggregateRating: hasRating && restaurant.userRatings > 0
+      ? {
+        '@type': 'AggregateRating',
+        ratingValue: restaurant.rating,
+        reviewCount: restaurant.userRatings,
+        bestRating: 5,
+        worstRating: 1
+      }
+      : undefined
+  };
+};
+
+// Airtable "Last Enriched" is either a date (YYYY-MM-DD) or a full ISO timestamp; both are valid W3C dates.
+const lastmodOf = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return null;
+  return String(value).includes('T') ? date.toISOString() : String(value).slice(0, 10);
+};
+
+export const toSitemapXml = (restaurants, { siteBaseUrl }) => {
+  const urls = restaurants
+    .filter((restaurant) => restaurant.slug)
+    .map((restaurant) => {
+      const lastmod = lastmodOf(restaurant.lastEnriched);
+      return [
+        '  <url>',
+        `    <loc>${escapeXml(restaurantPageUrl(siteBaseUrl, restaurant.slug))}</loc>`,
+        lastmod ? `    <lastmod>${lastmod}</lastmod>` : null,
+        '  </url>'
+      ]
+        .filter(Boolean)
+        .join('\n');
+    });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...urls,
+    '</urlset>',
+    ''
+  ].join('\n');
+};
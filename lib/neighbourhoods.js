@@ -0,0 +1,24 @@
+import { readFileSync } from 'node:fs';
+
+import { postcodeDistrict } from './filters.js';
+
+// Bundled with the repo so neither the worker nor the feed needs a postcode API.
+const { districts, sectors } = JSON.parse(
+  readFileSync(new URL('../data/london-postcodes.json', import.meta.url), 'utf8')
+);
+
+// "SE1 9AG" → "SE1 9": the district plus the first character of the inward code.
+export const postcodeSector = (postcode) => {
+  const district = postcodeDistrict(postcode);
+  if (!district) return '';
+  const inward = String(postcode).replace(/\s+/g, '').toUpperCase().slice(district.length);
+  return /^\d/.test(inward) ? `${district} ${inward[0]}` : '';
+};
+
+/**
+ * Neighbourhood and borough for a London postcode: `{ neighbourhood, borough }`, or null when the
+ * postcode is outside the bundled lookup. A sector entry (e.g. "SE1 7" → Waterloo) wins over its
+ * district ("SE1" → Borough).
+ */
+export const lookupNeighbourhood = (postcode) =>
+  sectors[postcodeSector(postcode)] || districts[postcodeDistrict(postcode)] || null;
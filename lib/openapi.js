@@ -0,0 +1,397 @@
+// OpenAPI 3 description of the feed, served at GET /openapi.json, and the query validation that
+// runs from the same parameter definitions so the document and the server can't disagree.
+
+import { readFileSync } from 'node:fs';
+
+import { PUBLIC_FIELDS, toInternalRestaurant, toRestaurant } from './restaurants.js';
+
+const { version } = JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf8'));
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+// OpenAPI 3.0 validators also want null listed among an enum's values.
+const nullable = (schema) => ({ ...schema, nullable: true, ...(schema.enum && { enum: [...schema.enum, null] }) });
+
+/* ------------------------- Schemas ------------------------- */
+
+const SCHEDULE_DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+// Every field toRestaurant produces, plus the per-request ones the router adds.
+const RESTAURANT_PROPERTIES = {
+  name: { type: 'string' },
+  slug: { type: 'string', example: 'padella' },
+  address: { type: 'string' },
+  city: { type: 'string' },
+  postcode: { type: 'string', example: 'SE1 9AG' },
+  neighbourhood: { type: 'string', example: 'Borough' },
+  borough: { type: 'string', example: 'Southwark' },
+  lat: nullable({ type: 'number', minimum: -90, maximum: 90 }),
+  lng: nullable({ type: 'number', minimum: -180, maximum: 180 }),
+  nearestStations: { type: 'array', items: ref('NearestStation') },
+  website: { type: 'string', description: 'Empty string when unknown.' },
+  instagram: { type: 'string', description: 'Profile URL; empty string when unknown.' },
+  phone: { type: 'string' },
+  cuisine: { type: 'string' },
+  priceLevel: nullable({
+    type: 'integer',
+    minimum: 0,
+    maximum: 4,
+    description: 'Google price level; null when Google has none.'
+  }),
+  rating: nullable({ type: 'number', minimum: 0, maximum: 5 }),
+  userRatings: nullable({ type: 'integer', minimum: 0 }),
+  businessStatus: nullable({ type: 'string', enum: ['OPERATIONAL', 'CLOSED_TEMPORARILY', 'CLOSED_PERMANENTLY'] }),
+  openingHours: { type: 'array', items: { type: 'string' }, example: ['Monday: 12:00 – 10:00 PM'] },
+  schedule: ref('Schedule'),
+  photoUrl: { type: 'string', description: 'Empty string when the restaurant has no photo.' },
+  photoAttribution: { type: 'string' },
+  photoBlurhash: nullable({ type: 'string' }),
+  photoColor: nullable({ type: 'string', example: '#a0522d' }),
+  photoAspectRatio: nullable({ type: 'number', description: 'Width divided by height.' }),
+  photos: { type: 'array', items: ref('Photo') },
+  description: { type: 'string' },
+  lastEnriched: nullable({ type: 'string' }),
+  openNow: nullable({ type: 'boolean', description: 'Null without structured opening hours.' }),
+  opensAt: nullable({ type: 'string', format: 'date-time', description: 'Next opening, London time with offset.' }),
+  closesAt: nullable({ type: 'string', format: 'date-time', description: 'Next closing, London time with offset.' }),
+  distanceMeters: { type: 'integer', description: 'Only present on geo queries (`near` or `bbox`).' },
+  id: { type: 'string', description: 'Airtable record id.' },
+  apiSource: nullable({ type: 'string', enum: ['SevenRooms', 'Tock', 'OpenTable', 'Resy'] }),
+  apiId: nullable({ type: 'string' }),
+  placeId: nullable({ type: 'string' }),
+  photoReference: nullable({ type: 'string' }),
+  photoReferences: { type: 'object', additionalProperties: { type: 'string' } },
+  createdAt: nullable({ type: 'string', format: 'date-time' }),
+  updatedAt: nullable({ type: 'string', format: 'date-time' }),
+  enrichmentStatus: nullable({ type: 'string', example: 'enriched' }),
+  notes: { type: 'string' },
+  diagnostics: {
+    type: 'object',
+    required: ['published', 'instagramSkipped', 'missing'],
+    properties: {
+      published: { type: 'boolean' },
+      instagramSkipped: { type: 'boolean' },
+      missing: {
+        type: 'array',
+        items: { type: 'string', enum: ['placeId', 'coordinates', 'photoUrl', 'description', 'schedule', 'instagram'] }
+      }
+    }
+  }
+};
+
+const OPEN_STATE_FIELDS = ['openNow', 'opensAt', 'closesAt'];
+const INTERNAL_FIELDS = Object.keys(toInternalRestaurant(toRestaurant({ fields: {} })));
+
+// Fail fast when toRestaurant gains a field without a schema here, so the spec can't drift.
+const undocumented = INTERNAL_FIELDS.filter((field) => !RESTAURANT_PROPERTIES[field]);
+if (undocumented.length) {
+  throw new Error(`lib/openapi.js has no schema for restaurant field(s): ${undocumented.join(', ')}.`);
+}
+
+const pick = (fields) => Object.fromEntries(fields.map((field) => [field, RESTAURANT_PROPERTIES[field]]));
+
+const SCHEMAS = {
+  Error: {
+    type: 'object',
+    required: ['error', 'message'],
+    properties: {
+      error: { type: 'string', example: 'invalid_limit' },
+      message: { type: 'string', example: 'limit must be an integer between 1 and 500.' }
+    }
+  },
+  OpeningInterval: {
+    type: 'object',
+    required: ['opens', 'closes'],
+    properties: {
+      opens: { type: 'string', example: '12:00' },
+      closes: {
+        type: 'string',
+        example: '22:30',
+        description: 'Earlier than `opens` means after midnight; `24:00` is midnight.'
+      }
+    }
+  },
+  Schedule: {
+    type: 'object',
+    description: 'Opening intervals per day in 24-hour London time.',
+    required: SCHEDULE_DAYS,
+    properties: Object.fromEntries(SCHEDULE_DAYS.map((day) => [day, { type: 'array', items: ref('OpeningInterval') }]))
+  },
+  NearestStation: {
+    type: 'object',
+    required: ['id', 'name', 'lines', 'distanceMeters', 'walkingMinutes'],
+    properties: {
+      id: { type: 'string', example: 'angel' },
+      name: { type: 'string', example: 'Angel' },
+      lines: { type: 'array', items: { type: 'string' }, example: ['Northern'] },
+      distanceMeters: { type: 'integer', description: 'Straight-line distance.' },
+      walkingMinutes: { type: 'integer' }
+    }
+  },
+  Photo: {
+    type: 'object',
+    required: ['id', 'url', 'attributions'],
+    properties: {
+      id: { type: 'string' },
+      url: { type: 'string' },
+      width: { type: 'integer' },
+      height: { type: 'integer' },
+      attributions: {
+        type: 'array',
+        items: { type: 'object', properties: { name: { type: 'string' }, url: { type: 'string' } } }
+      }
+    }
+  },
+  Restaurant: {
+    type: 'object',
+    description: 'A published restaurant. `?fields=` may leave any property out.',
+    properties: pick([...PUBLIC_FIELDS, ...OPEN_STATE_FIELDS, 'distanceMeters'])
+  },
+  InternalRestaurant: {
+    type: 'object',
+    description: 'Any record, whatever its status, with every field (`?view=internal`).',
+    properties: pick([...INTERNAL_FIELDS, ...OPEN_STATE_FIELDS, 'distanceMeters'])
+  },
+  RestaurantList: {
+    type: 'object',
+    required: ['generatedAt', 'count', 'total', 'nextCursor', 'restaurants'],
+    properties: {
+      generatedAt: { type: 'string', format: 'date-time' },
+      count: { type: 'integer' },
+      total: { type: 'integer', description: 'All matching restaurants, across pages.' },
+      nextCursor: nullable({ type: 'string', description: 'Pass as `cursor` for the next page; null on the last.' }),
+      restaurants: { type: 'array', items: { oneOf: [ref('Restaurant'), ref('InternalRestaurant')] } }
+    }
+  },
+  Status: {
+    type: 'object',
+    required: ['status', 'endpoints', 'cacheTtlMs'],
+    properties: {
+      status: { type: 'string', enum: ['ok'] },
+      endpoints: { type: 'array', items: { type: 'string' } },
+      cacheTtlMs: { type: 'integer' }
+    }
+  }
+};
+
+/* ------------------------- Parameters ------------------------- */
+
+const query = (name, description, schema = { type: 'string' }, extra = {}) =>
+  ({ name, in: 'query', description, schema, ...extra });
+// Comma-separated lists, e.g. ?cuisine=italian,turkish.
+const listQuery = (name, description) =>
+  query(name, description, { type: 'array', items: { type: 'string' }, minItems: 1 }, { style: 'form', explode: false });
+
+const PARAMETERS = {
+  view: query('view', '`internal` needs `Authorization: Bearer <FEED_INTERNAL_TOKEN>`.', {
+    type: 'string',
+    enum: ['public', 'internal'],
+    default: 'public'
+  }),
+  fields: listQuery('fields', 'Only return these restaurant fields.'),
+  slug: query('slug', 'Return the single restaurant with this slug instead of a list.', { type: 'string', minLength: 1 }),
+  refresh: query('refresh', 'Reload from Airtable first. Ignored without the internal token.', {
+    type: 'boolean',
+    default: false
+  }),
+  limit: query('limit', 'Page size. Without `limit` or `cursor` every match is returned.', {
+    type: 'integer',
+    minimum: 1,
+    maximum: 500
+  }),
+  cursor: query('cursor', '`nextCursor` from the previous page.', { type: 'string', minLength: 1 }),
+  near: query('near', 'Sort by distance from `lat,lng`, e.g. `51.5055,-0.0907`.'),
+  radius: query('radius', 'Metres from `near`; requires `near`.', {
+    type: 'number',
+    minimum: 0,
+    exclusiveMinimum: true,
+    maximum: 50000
+  }),
+  bbox: query('bbox', 'Only restaurants inside `minLng,minLat,maxLng,maxLat`, e.g. `-0.15,51.49,-0.07,51.53`.'),
+  cuisine: listQuery('cuisine', 'Cuisines, case-insensitive.'),
+  priceLevel: query('priceLevel', 'A price level (0–4) or an inclusive range such as `1-3`.'),
+  minRating: query('minRating', 'Minimum Google rating.', { type: 'number', minimum: 0 }),
+  minUserRatings: query('minUserRatings', 'Minimum Google review count.', { type: 'number', minimum: 0 }),
+  city: listQuery('city', 'Cities, case-insensitive.'),
+  area: listQuery('area', 'Neighbourhoods or boroughs, case-insensitive.'),
+  nearStation: listQuery('nearStation', 'Station names or ids among the nearest stations.'),
+  district: listQuery('district', 'Postcode outward codes, e.g. `E8,SE1`.'),
+  openAt: query('openAt', 'Only restaurants open at this London local time, e.g. `2026-10-24T19:30`.')
+};
+
+const paramRef = (name) => ({ $ref: `#/components/parameters/${name}` });
+
+// The token is optional: it only unlocks `view=internal` and `refresh=true`.
+const OPTIONAL_TOKEN = [{}, { internalToken: [] }];
+
+/* ------------------------- Document ------------------------- */
+
+const errorResponse = (description) => ({
+  description,
+  content: { 'application/json': { schema: ref('Error') } }
+});
+
+const ERROR_RESPONSES = {
+  400: errorResponse('Invalid query parameter.'),
+  401: errorResponse('`view=internal` without a valid token.'),
+  403: errorResponse('`view=internal` while FEED_INTERNAL_TOKEN is unset.'),
+  404: errorResponse('No restaurant with that slug.'),
+  500: errorResponse('Airtable could not be reached and nothing is cached.')
+};
+
+const DOCUMENT = {
+  openapi: '3.0.3',
+  info: {
+    title: 'Eating London feed',
+    version,
+    description: 'Published London restaurants from Airtable, enriched with Google Places data.'
+  },
+  paths: {
+    '/': {
+      get: {
+        operationId: 'getStatus',
+        summary: 'Server status and endpoint list',
+        responses: { 200: { description: 'OK', content: { 'application/json': { schema: ref('Status') } } } }
+      }
+    },
+    '/restaurants': {
+      get: {
+        operationId: 'listRestaurants',
+        summary: 'Published restaurants, optionally filtered, sorted by distance and paged',
+        security: OPTIONAL_TOKEN,
+        parameters: [
+          'view', 'slug', 'fields', 'refresh', 'limit', 'cursor', 'near', 'radius', 'bbox', 'cuisine',
+          'priceLevel', 'minRating', 'minUserRatings', 'city', 'area', 'nearStation', 'district', 'openAt'
+        ].map(paramRef),
+        responses: {
+          200: {
+            description: 'A page of restaurants, or one restaurant when `slug` is given.',
+            content: {
+              'application/json': {
+                schema: { oneOf: [ref('RestaurantList'), ref('Restaurant'), ref('InternalRestaurant')] }
+              }
+            }
+          },
+          304: { description: 'Not modified since the `If-None-Match` ETag.' },
+          ...ERROR_RESPONSES
+        }
+      }
+    },
+    '/restaurants/{slug}': {
+      get: {
+        operationId: 'getRestaurant',
+        summary: 'One restaurant by slug',
+        security: OPTIONAL_TOKEN,
+        parameters: [
+          { name: 'slug', in: 'path', required: true, schema: { type: 'string' }, example: 'padella' },
+          paramRef('view'),
+          paramRef('fields')
+        ],
+        responses: {
+          200: {
+            description: 'The restaurant.',
+            content: {
+              'application/json': { schema: { oneOf: [ref('Restaurant'), ref('InternalRestaurant')] } }
+            }
+          },
+          304: { description: 'Not modified since the `If-None-Match` ETag.' },
+          ...ERROR_RESPONSES
+        }
+      }
+    }
+  },
+  components: {
+    schemas: SCHEMAS,
+    parameters: PARAMETERS,
+    securitySchemes: {
+      internalToken: { type: 'http', scheme: 'bearer', description: 'FEED_INTERNAL_TOKEN, for `view=internal`.' }
+    }
+  }
+};
+
+// `serverUrl` is where clients reach the feed (PUBLIC_BASE_URL); relative to the document without it.
+export const buildOpenApiDocument = ({ serverUrl = '' } = {}) => ({
+  ...DOCUMENT,
+  servers: [{ url: serverUrl.replace(/\/+$/, '') || '/' }]
+});
+
+/* ------------------------- Validation ------------------------- */
+
+const invalid = (name, rule) => ({ error: `invalid_${name}`, message: `${name} ${rule}.` });
+
+const listOf = (values) =>
+  values.length === 2
+    ? `"${values[0]}" or "${values[1]}"`
+    : `one of ${values.map((value) => `"${value}"`).join(', ')}`;
+
+// "an integer between 1 and 500", "a non-negative number", …
+const numberRule = ({ type, minimum, maximum, exclusiveMinimum }) => {
+  const kind = type === 'integer' ? 'an integer' : 'a number';
+  if (minimum !== undefined && maximum !== undefined) {
+    return exclusiveMinimum
+      ? `must be ${kind} greater than ${minimum} and at most ${maximum}`
+      : `must be ${kind} between ${minimum} and ${maximum}`;
+  }
+  if (minimum === 0 && !exclusiveMinimum) return `must be a non-negative ${type === 'integer' ? 'integer' : 'number'}`;
+  if (minimum !== undefined) return `must be ${kind} ${exclusiveMinimum ? 'greater than' : 'of at least'} ${minimum}`;
+  return `must be ${kind}`;
+};
+
+const checkNumber = (schema, value) => {
+  const parsed = Number(value);
+  if (value.trim() === '' || !Number.isFinite(parsed)) return false;
+  if (schema.type === 'integer' && !Number.isInteger(parsed)) return false;
+  if (schema.minimum !== undefined && (schema.exclusiveMinimum ? parsed <= schema.minimum : parsed < schema.minimum)) {
+    return false;
+  }
+  return schema.maximum === undefined || parsed <= schema.maximum;
+};
+
+// Returns `{ error, message }` for a value that doesn't fit the parameter's schema, else null.
+const checkParameter = ({ name, schema, required }, value) => {
+  if (value === undefined) return required ? invalid(name, 'is required') : null;
+
+  if (schema.type === 'array') {
+    // Repeated params (?cuisine=a&cuisine=b) count as one list.
+    const text = Array.isArray(value) && value.every((entry) => typeof entry === 'string') ? value.join(',') : value;
+    if (typeof text !== 'string') return invalid(name, 'must be a comma-separated list');
+    return text.split(',').some((entry) => entry.trim()) ? null : invalid(name, 'must not be empty');
+  }
+
+  if (typeof value !== 'string') return invalid(name, 'must be given once');
+
+  if (schema.enum && !schema.enum.includes(value)) return invalid(name, `must be ${listOf(schema.enum)}`);
+
+  switch (schema.type) {
+    case 'boolean':
+      return ['true', 'false'].includes(value) ? null : invalid(name, 'must be true or false');
+    case 'integer':
+    case 'number':
+      return checkNumber(schema, value) ? null : invalid(name, numberRule(schema));
+    default:
+      return schema.minLength && value.trim().length < schema.minLength ? invalid(name, 'must not be empty') : null;
+  }
+};
+
+const resolveParameter = (parameter) =>
+  parameter.$ref ? PARAMETERS[parameter.$ref.split('/').pop()] : parameter;
+
+/**
+ * Express middleware that checks `req.query` against the query parameters the document declares
+ * for `method path` and answers `400 { error: 'invalid_<name>', message }` on the first mismatch.
+ * Parameters the document doesn't declare are left alone; formats the schemas can't express
+ * (coordinates, price ranges, …) are still checked by the route handlers.
+ */
+export const validateQuery = (path, method = 'get') => {
+  const operation = DOCUMENT.paths[path]?.[method];
+  if (!operation) throw new Error(`No OpenAPI operation for ${method.toUpperCase()} ${path}.`);
+
+  const parameters = (operation.parameters || []).map(resolveParameter).filter((parameter) => parameter.in === 'query');
+
+  return (req, res, next) => {
+    for (const parameter of parameters) {
+      const problem = checkParameter(parameter, req.query[parameter.name]);
+      if (problem) return res.status(400).json(problem);
+    }
+    return next();
+  };
+};
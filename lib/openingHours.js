@@ -0,0 +1,232 @@
+export const LONDON_TIME_ZONE = 'Europe/London';
+
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+// Schedules are presented Monday-first, the way UK venues list their hours.
+const SCHEDULE_ORDER = [1, 2, 3, 4, 5, 6, 0];
+const MINUTES_PER_DAY = 24 * 60;
+const MINUTES_PER_WEEK = 7 * MINUTES_PER_DAY;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+const isPeriodPoint = (point) =>
+  Number.isInteger(point?.day) &&
+  point.day >= 0 &&
+  point.day <= 6 &&
+  typeof point.time === 'string' &&
+  /^\d{4}$/.test(point.time);
+
+const periodTimeToClock = (time) => `${time.slice(0, 2)}:${time.slice(2)}`;
+
+const clockToMinutes = (clock) => {
+  const [hours, minutes] = clock.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Parse the Google Places `opening_hours.periods` array stored by the worker.
+ * Accepts the raw JSON string from Airtable or an already-parsed array.
+ */
+export const parseOpeningPeriods = (value) => {
+  let periods = value;
+  if (typeof value === 'string') {
+    try {
+      periods = JSON.parse(value);
+    } catch (_err) {
+      return [];
+    }
+  }
+  if (!Array.isArray(periods)) return [];
+  return periods.filter((period) => isPeriodPoint(period?.open));
+};
+
+/**
+ * Convert Places periods into `{ monday: [{ opens, closes }], ... }` (24h clock, London time).
+ * A `closes` earlier than `opens` means the venue closes after midnight; `24:00` means midnight.
+ * Google describes always-open venues as a single period without a close; that becomes
+ * `00:00`–`24:00` on every day.
+ */
+export const buildWeeklySchedule = (periods) => {
+  const schedule = Object.fromEntries(SCHEDULE_ORDER.map((day) => [DAY_NAMES[day], []]));
+
+  for (const period of periods) {
+    if (!isPeriodPoint(period.close)) {
+      if (period.open.time === '0000') {
+        for (const day of DAY_NAMES) {
+          schedule[day] = [{ opens: '00:00', closes: '24:00' }];
+        }
+        return schedule;
+      }
+      continue;
+    }
+
+    const opens = periodTimeToClock(period.open.time);
+    let closes = periodTimeToClock(period.close.time);
+    if (closes === '00:00' && period.close.day !== period.open.day) {
+      closes = '24:00';
+    }
+    schedule[DAY_NAMES[period.open.day]].push({ opens, closes });
+  }
+
+  for (const day of DAY_NAMES) {
+    schedule[day].sort((a, b) => a.opens.localeCompare(b.opens));
+  }
+
+  return schedule;
+};
+
+export const hasSchedule = (schedule) =>
+  Boolean(schedule) && Object.values(schedule).some((slots) => slots.length > 0);
+
+/* ------------------------- Wall-clock time ------------------------- */
+
+// A "wall time" is a London local date and time, stored as a UTC-based Date so
+// arithmetic never crosses a DST boundary.
+const wallFormatter = new Intl.DateTimeFormat('en-GB', {
+  timeZone: LONDON_TIME_ZONE,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  hourCycle: 'h23'
+});
+
+const offsetFormatter = new Intl.DateTimeFormat('en-GB', {
+  timeZone: LONDON_TIME_ZONE,
+  timeZoneName: 'longOffset'
+});
+
+export const londonWallTime = (instant = new Date()) => {
+  const parts = Object.fromEntries(
+    wallFormatter.formatToParts(instant).map(({ type, value }) => [type, value])
+  );
+  return new Date(
+    Date.UTC(
+      Number(parts.year),
+      Number(parts.month) - 1,
+      Number(parts.day),
+      Number(parts.hour),
+      Number(parts.minute)
+    )
+  );
+};
+
+/**
+ * Parse `YYYY-MM-DDTHH:MM` (seconds optional) as a London wall time.
+ * Returns `{ value }` or `{ error, message }`.
+ */
+export const parseWallTime = (value, name = 'openAt') => {
+  const invalid = {
+    error: `invalid_${name}`,
+    message: `${name} must be a London local time formatted as YYYY-MM-DDTHH:MM.`
+  };
+  const match = String(value || '').trim().match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::\d{2})?$/);
+  if (!match) return invalid;
+
+  const [year, month, day, hours, minutes] = match.slice(1).map(Number);
+  const wall = new Date(Date.UTC(year, month - 1, day, hours, minutes));
+  if (
+    wall.getUTCFullYear() !== year ||
+    wall.getUTCMonth() !== month - 1 ||
+    wall.getUTCDate() !== day ||
+    hours > 23 ||
+    minutes > 59
+  ) {
+    return invalid;
+  }
+
+  return { value: wall };
+};
+
+const londonOffsetAt = (instant) => {
+  const label = offsetFormatter
+    .formatToParts(instant)
+    .find((part) => part.type === 'timeZoneName')?.value;
+  const match = label?.match(/GMT([+-])(\d{2}):(\d{2})/);
+  if (!match) return 0;
+  const minutes = Number(match[2]) * 60 + Number(match[3]);
+  return match[1] === '-' ? -minutes : minutes;
+};
+
+// Format a wall time as ISO 8601 with the London UTC offset that applies at that moment.
+const formatWallTime = (wall) => {
+  const guess = new Date(wall.getTime() - londonOffsetAt(wall) * 60000);
+  const offset = londonOffsetAt(guess);
+  const sign = offset < 0 ? '-' : '+';
+  const absolute = Math.abs(offset);
+  const date = wall.toISOString().slice(0, 16);
+  return `${date}:00${sign}${pad(Math.floor(absolute / 60))}:${pad(absolute % 60)}`;
+};
+
+/* ------------------------- Open state ------------------------- */
+
+const weekMinute = (wall) =>
+  wall.getUTCDay() * MINUTES_PER_DAY + wall.getUTCHours() * 60 + wall.getUTCMinutes();
+
+// Flatten the schedule into merged [start, end) minute ranges covering last week, this week and
+// next, so overnight openings (Saturday night into Sunday morning included) and the next opening
+// after Saturday never need special cases.
+const scheduleIntervals = (schedule) => {
+  const intervals = [];
+
+  DAY_NAMES.forEach((dayName, day) => {
+    for (const { opens, closes } of schedule[dayName] || []) {
+      const start = day * MINUTES_PER_DAY + clockToMinutes(opens);
+      let end = day * MINUTES_PER_DAY + clockToMinutes(closes);
+      if (end <= start) end += MINUTES_PER_DAY;
+      for (const shift of [-MINUTES_PER_WEEK, 0, MINUTES_PER_WEEK]) {
+        intervals.push([start + shift, end + shift]);
+      }
+    }
+  });
+
+  intervals.sort((a, b) => a[0] - b[0]);
+
+  const merged = [];
+  for (const interval of intervals) {
+    const last = merged[merged.length - 1];
+    if (last && interval[0] <= last[1]) {
+      last[1] = Math.max(last[1], interval[1]);
+    } else {
+      merged.push([...interval]);
+    }
+  }
+  return merged;
+};
+
+export const isOpenAt = (schedule, wall) => {
+  if (!hasSchedule(schedule)) return false;
+  const minute = weekMinute(wall);
+  return scheduleIntervals(schedule).some(([start, end]) => start <= minute && minute < end);
+};
+
+/**
+ * Work out `{ openNow, opensAt, closesAt }` for a schedule at the given London wall time.
+ * All values are null when the schedule is unknown; `closesAt` is null for venues that never close.
+ */
+export const getOpenState = (schedule, wall = londonWallTime()) => {
+  if (!hasSchedule(schedule)) {
+    return { openNow: null, opensAt: null, closesAt: null };
+  }
+
+  const minute = weekMinute(wall);
+  const intervals = scheduleIntervals(schedule);
+  const at = (delta) => formatWallTime(new Date(wall.getTime() + delta * 60000));
+
+  const current = intervals.find(([start, end]) => start <= minute && minute < end);
+  if (current) {
+    const alwaysOpen = current[1] - current[0] >= MINUTES_PER_WEEK;
+    return {
+      openNow: true,
+      opensAt: null,
+      closesAt: alwaysOpen ? null : at(current[1] - minute)
+    };
+  }
+
+  const next = intervals.find(([start]) => start > minute);
+  return {
+    openNow: false,
+    opensAt: next ? at(next[0] - minute) : null,
+    closesAt: null
+  };
+};
@@ -0,0 +1,74 @@
+const DEFAULT_MAX_LIMIT = 500;
+
+export const encodeCursor = (offset) =>
+  Buffer.from(JSON.stringify({ offset }), 'utf8').toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const { offset } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return Number.isInteger(offset) && offset >= 0 ? offset : null;
+  } catch (_err) {
+    return null;
+  }
+};
+
+/**
+ * Parse `limit` and `cursor` query params.
+ * Returns `{ page }` (null when the caller wants everything) or `{ error, message }`.
+ */
+export const parsePagination = (query = {}, { maxLimit = DEFAULT_MAX_LIMIT } = {}) => {
+  const { limit, cursor } = query;
+  if (limit === undefined && cursor === undefined) return { page: null };
+
+  let parsedLimit = maxLimit;
+  if (limit !== undefined) {
+    parsedLimit = Number(limit);
+    if (!Number.isInteger(parsedLimit) || parsedLimit < 1 || parsedLimit > maxLimit) {
+      return { error: 'invalid_limit', message: `limit must be an integer between 1 and ${maxLimit}.` };
+    }
+  }
+
+  let offset = 0;
+  if (cursor !== undefined) {
+    offset = decodeCursor(cursor);
+    if (offset === null) {
+      return { error: 'invalid_cursor', message: 'cursor is not a value returned by a previous page.' };
+    }
+  }
+
+  return { page: { limit: parsedLimit, offset } };
+};
+
+export const paginate = (items, page) => {
+  if (!page) return { items, nextCursor: null };
+  const end = page.offset + page.limit;
+  return {
+    items: items.slice(page.offset, end),
+    nextCursor: end < items.length ? encodeCursor(end) : null
+  };
+};
+
+/**
+ * Parse a `fields=name,slug` projection against the list of known field names.
+ * Returns `{ fields }` (null for "everything") or `{ error, message }`.
+ */
+export const parseFields = (value, knownFields) => {
+  if (value === undefined) return { fields: null };
+
+  const fields = [...new Set(String(value).split(',').map((field) => field.trim()).filter(Boolean))];
+  if (!fields.length) {
+    return { error: 'invalid_fields', message: 'fields must list at least one field name.' };
+  }
+
+  const unknown = fields.filter((field) => !knownFields.includes(field));
+  if (unknown.length) {
+    return { error: 'invalid_fields', message: `Unknown field(s): ${unknown.join(', ')}.` };
+  }
+
+  return { fields };
+};
+
+export const projectFields = (item, fields) => {
+  if (!fields) return item;
+  return Object.fromEntries(fields.filter((field) => field in item).map((field) => [field, item[field]]));
+};
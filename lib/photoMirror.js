@@ -0,0 +1,55 @@
+import { createHash } from 'node:crypto';
+
+const clean = (value) => (value == null ? '' : String(value).trim());
+
+/**
+ * Copies main photos into S3-compatible storage via `client` (see createS3Client) and returns the
+ * Airtable fields that record the copy: `Mirrored Photo URL` and `Mirrored Photo Hash`.
+ */
+export const createPhotoMirror = ({ client, keyPrefix = 'restaurants/' }) => {
+  // Keys come from the image's content hash, so a new Google reference for the same image maps to
+  // the object that is already there, and re-running the worker overwrites rather than piles up.
+  const keyOf = (slug, hash) => `${keyPrefix}${slug}/${hash.slice(0, 16)}`;
+
+  // When a new main photo can't be mirrored, the old copy is dropped so the feed falls back to the
+  // /photos proxy instead of showing the previous image.
+  const staleFields = (referenceChanged) =>
+    referenceChanged ? { 'Mirrored Photo URL': '', 'Mirrored Photo Hash': '' } : {};
+
+  return {
+    keyOf,
+    staleFields,
+
+    // Whether the stored mirror URL points at the object for the stored hash. Copies made before keys
+    // were hashed (keyed by photo id) fail this check and are uploaded once more under the new key.
+    hasCurrent(slug, fields) {
+      const hash = clean(fields['Mirrored Photo Hash']);
+      return Boolean(hash) && fields['Mirrored Photo URL'] === client.urlOf(keyOf(slug, hash));
+    },
+
+    async fieldsFor(slug, fields, photo, referenceChanged) {
+      try {
+        const hash = createHash('sha256').update(photo.body).digest('hex');
+        const key = keyOf(slug, hash);
+        const url = client.urlOf(key);
+        // Google often hands out a new reference for the same image; keep the existing copy.
+        if (fields['Mirrored Photo URL'] === url && fields['Mirrored Photo Hash'] === hash) {
+          console.log(`[mirror] ${slug}: photo unchanged, skipped upload`);
+          return {};
+        }
+
+        await client.putObject(key, photo.body, {
+          contentType: photo.contentType,
+          cacheControl: 'public, max-age=31536000, immutable',
+          metadata: { sha256: hash }
+        });
+        console.log(`[mirror] ${slug}: uploaded ${key}`);
+        return { 'Mirrored Photo URL': url, 'Mirrored Photo Hash': hash };
+      } catch (error) {
+        // A failed mirror never blocks enrichment; the feed keeps using the /photos proxy.
+        console.warn(`[mirror] ${slug}: ${error.message}`);
+        return staleFields(referenceChanged);
+      }
+    }
+  };
+};
@@ -0,0 +1,233 @@
+import { createHash } from 'node:crypto';
+import { mkdir, readFile, rename, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+import { encode as encodeBlurhash } from 'blurhash';
+import jpeg from 'jpeg-js';
+
+const GOOGLE_PHOTO_ENDPOINT = 'https://maps.googleapis.com/maps/api/place/photo';
+const FETCH_TIMEOUT_MS = 15000;
+
+// Widths the proxy serves; requests are rounded up so the disk cache stays small.
+export const PHOTO_WIDTHS = [200, 400, 800, 1200, 1600];
+export const DEFAULT_PHOTO_WIDTH = 800;
+
+export const isGooglePhotoUrl = (value) => String(value || '').startsWith(GOOGLE_PHOTO_ENDPOINT);
+
+/**
+ * The Google photo reference for a record's main photo: the `Photo Reference` field, or the `photoreference`
+ * query parameter of a legacy `Photo URL` written before references were stored.
+ */
+export const photoReferenceOf = (fields = {}) => {
+  const stored = String(fields['Photo Reference'] || '').trim();
+  if (stored) return stored;
+  if (!isGooglePhotoUrl(fields['Photo URL'])) return '';
+  try {
+    return new URL(fields['Photo URL']).searchParams.get('photoreference') || '';
+  } catch (_err) {
+    return '';
+  }
+};
+
+export const photoProxyUrl = (publicBaseUrl, slug, photoId) =>
+  `${String(publicBaseUrl || '').replace(/\/+$/, '')}/photos/${encodeURIComponent(slug)}` +
+  (photoId ? `/${encodeURIComponent(photoId)}` : '');
+
+/* ------------------------- Gallery ------------------------- */
+
+// Stable id editors use in Pinned Photos / Hidden Photos. Google gives photos no id of their own,
+// so it is derived from the reference.
+export const photoIdOf = (reference) => createHash('sha1').update(reference).digest('hex').slice(0, 10);
+
+const decodeEntities = (value) =>
+  value
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+
+// `<a href="https://maps.google.com/maps/contrib/1">Jane Doe</a>` → `{ name: 'Jane Doe', url }`.
+export const parseHtmlAttribution = (html) => {
+  const text = String(html || '');
+  const href = text.match(/href\s*=\s*"([^"]*)"/i) || text.match(/href\s*=\s*'([^']*)'/i);
+  const name = decodeEntities(text.replace(/<[^>]*>/g, '')).trim();
+  if (!name) return null;
+  return { name, url: href ? decodeEntities(href[1]) : null };
+};
+
+// A Places API `photos[]` entry → the shape stored in Photos JSON.
+export const toGalleryPhoto = (photo) => ({
+  id: photoIdOf(photo.photo_reference),
+  reference: photo.photo_reference,
+  width: Number.isFinite(photo.width) ? photo.width : null,
+  height: Number.isFinite(photo.height) ? photo.height : null,
+  attributions: (photo.html_attributions || []).map(parseHtmlAttribution).filter(Boolean)
+});
+
+export const parseGallery = (value) => {
+  if (!value) return [];
+  let parsed = value;
+  if (typeof value === 'string') {
+    try {
+      parsed = JSON.parse(value);
+    } catch (_err) {
+      return [];
+    }
+  }
+  return Array.isArray(parsed) ? parsed.filter((photo) => photo?.id && photo?.reference) : [];
+};
+
+// Pinned Photos / Hidden Photos hold photo ids separated by commas, spaces or new lines.
+export const parsePhotoIds = (value) =>
+  String(value || '')
+    .split(/[\s,]+/)
+    .map((id) => id.trim())
+    .filter(Boolean);
+
+/**
+ * Order a gallery the way editors asked: pinned photos first (in pin order), then the rest
+ * in Google's order, with hidden photos removed. Hiding wins over pinning.
+ */
+export const arrangeGallery = (photos, { pinned = [], hidden = [] } = {}) => {
+  const visible = photos.filter((photo) => !hidden.includes(photo.id));
+  const pinnedPhotos = pinned
+    .map((id) => visible.find((photo) => photo.id === id))
+    .filter(Boolean);
+  return [...pinnedPhotos, ...visible.filter((photo) => !pinned.includes(photo.id))];
+};
+
+/**
+ * Merge a fresh Places response into the stored gallery. Google's new order wins, but pinned
+ * photos Google no longer returns are kept so a refresh never drops an editor's choice.
+ */
+export const mergeGallery = (stored, fresh, { pinned = [] } = {}) => {
+  const freshIds = new Set(fresh.map((photo) => photo.id));
+  const keptPins = stored.filter((photo) => pinned.includes(photo.id) && !freshIds.has(photo.id));
+  return [...fresh, ...keptPins];
+};
+
+export const parsePhotoWidth = (value) => {
+  if (value === undefined || value === '') return { width: DEFAULT_PHOTO_WIDTH };
+  const requested = Number(value);
+  const max = PHOTO_WIDTHS[PHOTO_WIDTHS.length - 1];
+  if (!Number.isInteger(requested) || requested < 1 || requested > max) {
+    return { error: 'invalid_width', message: `w must be an integer between 1 and ${max}.` };
+  }
+  return { width: PHOTO_WIDTHS.find((width) => width >= requested) };
+};
+
+/* ------------------------- Placeholders ------------------------- */
+
+// Written to `Photo Blurhash` when a photo can't be analysed (e.g. a PNG), so the worker doesn't
+// re-select the record on every run. Blurhashes are 4 + 2n characters long, so this never collides.
+export const PLACEHOLDER_UNAVAILABLE = 'unavailable';
+
+// Blurhash cost grows with pixel count, so images are sampled down to this width first.
+const PLACEHOLDER_SAMPLE_WIDTH = 48;
+
+// Nearest-neighbour resample of RGBA pixels; plenty for a blurred placeholder.
+const samplePixels = ({ width, height, data }, targetWidth) => {
+  const scale = Math.min(1, targetWidth / width);
+  const w = Math.max(1, Math.round(width * scale));
+  const h = Math.max(1, Math.round(height * scale));
+  const out = new Uint8ClampedArray(w * h * 4);
+  for (let y = 0; y < h; y += 1) {
+    const sy = Math.min(height - 1, Math.floor(y / scale));
+    for (let x = 0; x < w; x += 1) {
+      const sx = Math.min(width - 1, Math.floor(x / scale));
+      out.set(data.subarray((sy * width + sx) * 4, (sy * width + sx) * 4 + 4), (y * w + x) * 4);
+    }
+  }
+  return { width: w, height: h, data: out };
+};
+
+const toHex = (channels) => `#${channels.map((c) => Math.round(c).toString(16).padStart(2, '0')).join('')}`;
+
+// Most common colour after quantising each channel to 16 levels, averaged within that bucket
+// so the result isn't snapped to the quantisation grid.
+const dominantColour = ({ data }) => {
+  const buckets = new Map();
+  for (let i = 0; i < data.length; i += 4) {
+    const key = ((data[i] >> 4) << 8) | ((data[i + 1] >> 4) << 4) | (data[i + 2] >> 4);
+    const bucket = buckets.get(key) || { count: 0, r: 0, g: 0, b: 0 };
+    bucket.count += 1;
+    bucket.r += data[i];
+    bucket.g += data[i + 1];
+    bucket.b += data[i + 2];
+    buckets.set(key, bucket);
+  }
+  const top = [...buckets.values()].reduce((best, bucket) => (bucket.count > best.count ? bucket : best));
+  return toHex([top.r / top.count, top.g / top.count, top.b / top.count]);
+};
+
+/**
+ * Layout hints for a JPEG photo: `{ blurhash, color, aspectRatio }`, where `color` is the dominant
+ * colour as `#rrggbb` and `aspectRatio` is width ÷ height. Throws if the image can't be decoded.
+ */
+export const analysePhoto = ({ contentType, body }) => {
+  if (!/^image\/p?jpe?g/i.test(contentType || '')) {
+    throw new Error(`Cannot analyse ${contentType || 'untyped'} photos; only JPEG is supported.`);
+  }
+  const image = jpeg.decode(body, { useTArray: true, formatAsRGBA: true, maxResolutionInMP: 25 });
+  const sample = samplePixels(image, PLACEHOLDER_SAMPLE_WIDTH);
+  return {
+    blurhash: encodeBlurhash(sample.data, sample.width, sample.height, 4, 3),
+    color: dominantColour(sample),
+    aspectRatio: Number((image.width / image.height).toFixed(4))
+  };
+};
+
+/* ------------------------- Disk cache ------------------------- */
+
+// Image bytes plus a small JSON sidecar with the content type, keyed by reference and width.
+// A new photo reference gets a new key, so entries never need invalidating.
+export const createPhotoCache = ({ dir }) => {
+  const resolved = path.resolve(dir);
+  const pathsOf = (key) => ({
+    body: path.join(resolved, key),
+    meta: path.join(resolved, `${key}.json`)
+  });
+
+  return {
+    keyOf: (reference, width) => `${createHash('sha1').update(reference).digest('hex')}-${width}`,
+
+    async read(key) {
+      const paths = pathsOf(key);
+      try {
+        const meta = JSON.parse(await readFile(paths.meta, 'utf8'));
+        return { ...meta, body: await readFile(paths.body) };
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+    },
+
+    async write(key, { contentType, body }) {
+      const paths = pathsOf(key);
+      await mkdir(resolved, { recursive: true });
+      const suffix = `${process.pid}.${Date.now()}.tmp`;
+      await writeFile(`${paths.body}.${suffix}`, body);
+      await rename(`${paths.body}.${suffix}`, paths.body);
+      // The sidecar lands last, so a reader never sees metadata without its bytes.
+      await writeFile(`${paths.meta}.${suffix}`, JSON.stringify({ contentType, storedAt: Date.now() }), 'utf8');
+      await rename(`${paths.meta}.${suffix}`, paths.meta);
+    }
+  };
+};
+
+/**
+ * Download a Places photo server-side so the API key never reaches the browser.
+ * Resolves to `{ contentType, body }`; throws on non-image or failed responses.
+ */
+export const fetchGooglePhoto = async ({ reference, width, apiKey }) => {
+  const params = new URLSearchParams({ maxwidth: String(width), photoreference: reference, key: apiKey });
+  const response = await fetch(`${GOOGLE_PHOTO_ENDPOINT}?${params}`, {
+    signal: AbortSignal.timeout(FETCH_TIMEOUT_MS)
+  });
+  const contentType = response.headers.get('content-type') || '';
+  if (!response.ok || !contentType.startsWith('image/')) {
+    throw new Error(`Google Places photo returned HTTP ${response.status} (${contentType || 'no content type'})`);
+  }
+  return { contentType, body: Buffer.from(await response.arrayBuffer()) };
+};
@@ -0,0 +1,41 @@
+// Fixed-window, in-memory rate limiter keyed by client IP. Good enough for a single instance;
+// behind a proxy, set Express `trust proxy` so `req.ip` is the real client address.
+
+export const createRateLimiter = ({ windowMs = 60000, max = 30, keyOf = (req) => req.ip } = {}) => {
+  const hits = new Map();
+
+  // Drop expired windows now and then so the map can't grow without bound.
+  const sweep = (now) => {
+    for (const [key, entry] of hits) {
+      if (entry.resetAt <= now) hits.delete(key);
+    }
+  };
+
+  return (req, res, next) => {
+    const now = Date.now();
+    if (hits.size > 10000) sweep(now);
+
+    const key = keyOf(req) || 'unknown';
+    let entry = hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(key, entry);
+    }
+    entry.count += 1;
+
+    const resetSeconds = Math.ceil((entry.resetAt - now) / 1000);
+    res.set('RateLimit-Limit', String(max));
+    res.set('RateLimit-Remaining', String(Math.max(0, max - entry.count)));
+    res.set('RateLimit-Reset', String(resetSeconds));
+
+    if (entry.count > max) {
+      res.set('Retry-After', String(resetSeconds));
+      return res.status(429).json({
+        error: 'rate_limited',
+        message: `Too many requests. Try again in ${resetSeconds} second(s).`
+      });
+    }
+
+    return next();
+  };
+};
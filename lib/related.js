@@ -0,0 +1,68 @@
+// "You might also like": other restaurants ranked by how close, how similar in cuisine and price,
+// and how well rated they are relative to one restaurant.
+
+import { haversineMeters, hasCoordinates } from './geo.js';
+import { foldText } from './search.js';
+
+const WEIGHTS = {
+  distance: 0.4,
+  cuisine: 0.3,
+  price: 0.15,
+  rating: 0.15
+};
+
+// Distance score halves every DISTANCE_HALF_LIFE_METERS, so a place 1.5 km away scores 0.5.
+const DISTANCE_HALF_LIFE_METERS = 1500;
+const PRICE_LEVEL_SPAN = 4;
+const MAX_RATING = 5;
+// What an unknown price level or rating scores: neither rewarded nor punished.
+const NEUTRAL_SCORE = 0.5;
+
+// Google Places business_status values that take a restaurant out of recommendations.
+const CLOSED_STATUSES = ['CLOSED_TEMPORARILY', 'CLOSED_PERMANENTLY'];
+
+export const isClosed = (restaurant) =>
+  CLOSED_STATUSES.includes(String(restaurant.businessStatus || '').trim().toUpperCase());
+
+const cuisineTerms = (cuisine) => new Set(foldText(cuisine).match(/[\p{L}\p{N}]+/gu) || []);
+
+// Jaccard overlap of cuisine words: "Modern European" vs "European" → 0.5.
+const cuisineScore = (a, b) => {
+  const termsA = cuisineTerms(a.cuisine);
+  const termsB = cuisineTerms(b.cuisine);
+  if (!termsA.size || !termsB.size) return 0;
+  const shared = [...termsA].filter((term) => termsB.has(term)).length;
+  return shared / (termsA.size + termsB.size - shared);
+};
+
+const priceScore = (a, b) => {
+  if (a.priceLevel === null || b.priceLevel === null) return NEUTRAL_SCORE;
+  return 1 - Math.abs(a.priceLevel - b.priceLevel) / PRICE_LEVEL_SPAN;
+};
+
+const ratingScore = (candidate) =>
+  candidate.rating === null ? NEUTRAL_SCORE : Math.min(1, candidate.rating / MAX_RATING);
+
+/**
+ * Rank `candidates` against `restaurant`, best first, skipping the restaurant itself and closed venues.
+ * Each result is `{ score, distanceMeters, restaurant }`; `distanceMeters` is null when either side
+ * has no coordinates (and the distance part of the score is then 0).
+ */
+export const rankRelated = (restaurant, candidates, { limit = 6 } = {}) => {
+  const located = hasCoordinates(restaurant);
+
+  return candidates
+    .filter((candidate) => candidate.slug !== restaurant.slug && !isClosed(candidate))
+    .map((candidate) => {
+      const distanceMeters =
+        located && hasCoordinates(candidate) ? Math.round(haversineMeters(restaurant, candidate)) : null;
+      const score =
+        WEIGHTS.distance * (distanceMeters === null ? 0 : 0.5 ** (distanceMeters / DISTANCE_HALF_LIFE_METERS)) +
+        WEIGHTS.cuisine * cuisineScore(restaurant, candidate) +
+        WEIGHTS.price * priceScore(restaurant, candidate) +
+        WEIGHTS.rating * ratingScore(candidate);
+      return { score: Math.round(score * 1000) / 1000, distanceMeters, restaurant: candidate };
+    })
+    .sort((a, b) => b.score - a.score || a.restaurant.name.localeCompare(b.restaurant.name))
+    .slice(0, limit);
+};
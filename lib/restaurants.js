@@ -0,0 +1,421 @@
+import { createHash } from 'node:crypto';
+
+import { trackRemovals } from './changes.js';
+import { hasInstagramSkipNote } from './instagram.js';
+import { lookupNeighbourhood } from './neighbourhoods.js';
+import { nearestStations, parseNearestStations } from './stations.js';
+import { buildWeeklySchedule, hasSchedule, parseOpeningPeriods } from './openingHours.js';
+import {
+  arrangeGallery,
+  isGooglePhotoUrl,
+  parseGallery,
+  parsePhotoIds,
+  photoProxyUrl,
+  photoReferenceOf,
+  PLACEHOLDER_UNAVAILABLE
+} from './photos.js';
+
+export const DEFAULT_TTL = 300000;
+export const DEFAULT_SITE_BASE_URL = 'https://eating.london';
+
+/* ------------------------- Helpers ------------------------- */
+
+const numericOrNull = (value) => {
+  if (value === undefined || value === null) return null;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+
+  const parsed = Number.parseFloat(String(value));
+  return Number.isFinite(parsed) ? parsed : null;
+};
+
+const parseOpeningHours = (value) => {
+  if (!value) return [];
+  if (Array.isArray(value)) return value;
+
+  if (typeof value === 'string') {
+    try {
+      const parsed = JSON.parse(value);
+      return Array.isArray(parsed) ? parsed : [];
+    } catch (_err) {
+      return [];
+    }
+  }
+
+  return [];
+};
+
+// Google photos are served through GET /photos/:slug so the Places key never reaches clients.
+// Any other Photo URL (e.g. one an editor pasted in) is passed through untouched.
+// What the worker stored about the main photo (mirror copy, placeholders) is only current while
+// editors haven't re-pinned or hidden it since.
+const isProcessedPhoto = (fields, photoReference) =>
+  Boolean(photoReference) && photoReference === fields['Photo Reference'];
+
+const photoUrlOf = (fields, photoReference, publicBaseUrl) => {
+  const slug = fields['Slug'];
+  const mirrored = fields['Mirrored Photo URL'];
+  if (mirrored && isProcessedPhoto(fields, photoReference)) return mirrored;
+  if (photoReference && slug) return photoProxyUrl(publicBaseUrl, slug);
+  const stored = fields['Photo URL'] || '';
+  return isGooglePhotoUrl(stored) ? '' : stored;
+};
+
+// Placeholders let clients reserve space and paint a colour before the image loads. Without a
+// worker-measured ratio, the dimensions Google lists for the photo still give one.
+const photoLayoutOf = (fields, photoReference, mainPhoto) => {
+  const processed = isProcessedPhoto(fields, photoReference);
+  const listedRatio =
+    mainPhoto?.width && mainPhoto?.height ? Number((mainPhoto.width / mainPhoto.height).toFixed(4)) : null;
+  return {
+    photoBlurhash:
+      (processed && fields['Photo Blurhash'] !== PLACEHOLDER_UNAVAILABLE && fields['Photo Blurhash']) || null,
+    photoColor: (processed && fields['Photo Color']) || null,
+    photoAspectRatio: (processed ? numericOrNull(fields['Photo Aspect Ratio']) : null) ?? listedRatio
+  };
+};
+
+export const toRestaurant = (record, { publicBaseUrl = '' } = {}) => {
+  const fields = record.fields || {};
+  const storedGallery = parseGallery(fields['Photos JSON']);
+  const gallery = arrangeGallery(storedGallery, {
+    pinned: parsePhotoIds(fields['Pinned Photos']),
+    hidden: parsePhotoIds(fields['Hidden Photos'])
+  });
+  // With a gallery, the main photo follows the editors' pins and hides; older records only
+  // have the single Photo Reference.
+  const photoReference = storedGallery.length ? gallery[0]?.reference || '' : photoReferenceOf(fields);
+  // Editors can override the worker's neighbourhood; records it hasn't reached yet fall back to the lookup.
+  const area = lookupNeighbourhood(fields['Postcode']);
+  const lat = numericOrNull(fields['Lat']);
+  const lng = numericOrNull(fields['Lng']);
+  const photoAttribution = storedGallery.length
+    ? (gallery[0]?.attributions || []).map(({ name }) => name).join(', ')
+    : fields['Photo Attribution'] || '';
+
+  return {
+    id: record.id,
+    name: fields['Name'] || '',
+    slug: fields['Slug'] || '',
+    apiSource: fields['API Source'] || null,
+    apiId: fields['API ID'] || null,
+    placeId: fields['Place ID'] || null,
+    address: fields['Address'] || '',
+    city: fields['City'] || '',
+    postcode: fields['Postcode'] || '',
+    neighbourhood: fields['Neighbourhood'] || area?.neighbourhood || '',
+    borough: fields['Borough'] || area?.borough || '',
+    lat,
+    lng,
+    // Stored by the worker; computed from lat/lng for records it hasn't reached yet.
+    nearestStations: parseNearestStations(fields['Nearest Stations JSON']) ?? nearestStations({ lat, lng }),
+    website: fields['Website'] || '',
+    instagram: fields['Instagram'] || '',
+    phone: fields['Phone'] || '',
+    cuisine: fields['Cuisine'] || '',
+    priceLevel: numericOrNull(fields['Price Level']),
+    rating: numericOrNull(fields['Rating']),
+    userRatings: numericOrNull(fields['User Ratings']),
+    businessStatus: fields['Business Status'] || null,
+    openingHours: parseOpeningHours(fields['Opening Hours JSON']),
+    schedule: buildWeeklySchedule(parseOpeningPeriods(fields['Opening Periods JSON'])),
+    photoUrl: photoUrlOf(fields, photoReference, publicBaseUrl),
+    photoReference: photoReference || null,
+    photoAttribution,
+    ...photoLayoutOf(fields, photoReference, gallery[0]),
+    photos: gallery.map(({ id, width, height, attributions }) => ({
+      id,
+      url: photoProxyUrl(publicBaseUrl, fields['Slug'] || '', id),
+      width,
+      height,
+      attributions
+    })),
+    // Internal only: lets the /photos proxy resolve a gallery id without exposing references.
+    photoReferences: Object.fromEntries(gallery.map(({ id, reference }) => [id, reference])),
+    description: fields['Description'] || '',
+    lastEnriched: fields['Last Enriched'] || null,
+    // Internal only: dates entries in /restaurants/changes. `Last Modified` is an Airtable
+    // "Last modified time" field; without it only new records show up as changes.
+    createdAt: record.createdTime || null,
+    updatedAt: fields['Last Modified'] || record.createdTime || null,
+    enrichmentStatus: fields['Enrichment Status'] || null,
+    notes: fields['Notes'] || ''
+  };
+};
+
+/* ------------------------- Projections ------------------------- */
+
+// Everything a site visitor may see. Airtable ids, booking-provider ids, enrichment status
+// and editor notes stay behind the internal view.
+export const PUBLIC_FIELDS = [
+  'name',
+  'slug',
+  'address',
+  'city',
+  'postcode',
+  'neighbourhood',
+  'borough',
+  'lat',
+  'lng',
+  'nearestStations',
+  'website',
+  'instagram',
+  'phone',
+  'cuisine',
+  'priceLevel',
+  'rating',
+  'userRatings',
+  'businessStatus',
+  'openingHours',
+  'schedule',
+  'photoUrl',
+  'photoAttribution',
+  'photoBlurhash',
+  'photoColor',
+  'photoAspectRatio',
+  'photos',
+  'description',
+  'lastEnriched'
+];
+
+export const isPublishable = (restaurant) =>
+  String(restaurant.enrichmentStatus || '').trim().toLowerCase() === 'enriched';
+
+export const toPublicRestaurant = (restaurant) =>
+  Object.fromEntries(PUBLIC_FIELDS.map((field) => [field, restaurant[field]]));
+
+const DIAGNOSTIC_CHECKS = {
+  placeId: (r) => Boolean(r.placeId),
+  coordinates: (r) => r.lat !== null && r.lng !== null,
+  photoUrl: (r) => Boolean(r.photoUrl),
+  description: (r) => Boolean(r.description),
+  schedule: (r) => hasSchedule(r.schedule),
+  instagram: (r) => Boolean(r.instagram)
+};
+
+export const toInternalRestaurant = (restaurant) => ({
+  ...restaurant,
+  diagnostics: {
+    published: isPublishable(restaurant),
+    instagramSkipped: hasInstagramSkipNote(restaurant.notes),
+    missing: Object.entries(DIAGNOSTIC_CHECKS)
+      .filter(([, isPresent]) => !isPresent(restaurant))
+      .map(([name]) => name)
+  }
+});
+
+export const hashOf = (value) => createHash('sha1').update(value).digest('hex');
+
+export const findBySlug = (data, slug) => {
+  const wanted = String(slug || '').toLowerCase();
+  return data.find((r) => r.slug?.toLowerCase() === wanted) || null;
+};
+
+/* ------------------------- Source Factory ------------------------- */
+
+// Retry a failed background refresh no sooner than this, so an Airtable outage
+// doesn't turn every request into another doomed Airtable call.
+const REFRESH_RETRY_MS = 30000;
+
+// `data` is the public projection every open endpoint serves; `internal` keeps every record
+// and field for token-holders. Each has its own version so ETags never leak across views.
+// `history` (see trackRemovals) lists restaurants that have left the public feed.
+const buildCache = (records, fetchedAt, options, history) => {
+  const restaurants = records.map((record) => toRestaurant(record, options));
+  const data = restaurants.filter(isPublishable).map(toPublicRestaurant);
+  const internal = restaurants.map(toInternalRestaurant);
+  return {
+    data,
+    internal,
+    // Raw Airtable fields, kept for exports that must mirror the table layout exactly.
+    records,
+    version: hashOf(JSON.stringify(data)),
+    internalVersion: hashOf(JSON.stringify(internal)),
+    fetchedAt,
+    ...(history || trackRemovals(null, data, fetchedAt))
+  };
+};
+
+// Loads the Airtable table and caches the normalised records in-process for `cacheTtlMs`.
+// Shared by every router that serves restaurant data so they all see the same snapshot.
+//
+// Stale-while-revalidate: once anything has been loaded, expired data is returned straight
+// away (`freshness: 'stale'`) while a single background refresh runs. An optional snapshot
+// `store` (see lib/cacheStores.js) persists every successful load and seeds the cache on boot,
+// so a fresh instance can serve during an Airtable outage.
+export const createRestaurantsSource = ({
+  table,
+  cacheTtlMs = DEFAULT_TTL,
+  store = null,
+  publicBaseUrl = ''
+}) => {
+  if (!table) {
+    throw new Error('createRestaurantsSource requires a configured Airtable table instance.');
+  }
+
+  const ttl = Number.isFinite(cacheTtlMs) && cacheTtlMs > 0 ? cacheTtlMs : DEFAULT_TTL;
+
+  let cache = {
+    data: null,
+    internal: null,
+    records: null,
+    version: null,
+    internalVersion: null,
+    fetchedAt: 0,
+    tombstones: [],
+    trackedSince: 0
+  };
+  let inflight = null;
+  let hydration = null;
+  let lastFailureAt = 0;
+
+  const loadFromAirtable = async () => {
+    const records = await table
+      .select({
+        sort: [{ field: 'Name', direction: 'asc' }]
+      })
+      .all();
+
+    return buildCache(
+      records.map(({ id, fields, _rawJson }) => ({ id, fields, createdTime: _rawJson?.createdTime })),
+      Date.now(),
+      { publicBaseUrl }
+    );
+  };
+
+  // Compare against the data being replaced, so restaurants that dropped out get a tombstone.
+  const withHistory = (next, now = Date.now()) => ({ ...next, ...trackRemovals(cache, next.data, now) });
+
+  const persist = async (snapshot) => {
+    if (!store) return;
+    try {
+      const { records, fetchedAt, tombstones, trackedSince } = snapshot;
+      await store.write({ records, fetchedAt, tombstones, trackedSince });
+    } catch (error) {
+      console.warn(`[cache] Failed to persist restaurants snapshot to ${store.name}:`, error.message);
+    }
+  };
+
+  // Only one Airtable load runs at a time; concurrent callers share it.
+  const refresh = () => {
+    if (!inflight) {
+      inflight = loadFromAirtable()
+        .then((loaded) => {
+          const next = withHistory(loaded, loaded.fetchedAt);
+          cache = next;
+          lastFailureAt = 0;
+          persist(next);
+          return next;
+        })
+        .catch((error) => {
+          lastFailureAt = Date.now();
+          throw error;
+        })
+        .finally(() => {
+          inflight = null;
+        });
+    }
+    return inflight;
+  };
+
+  const refreshInBackground = () => {
+    if (inflight || Date.now() - lastFailureAt < REFRESH_RETRY_MS) return;
+    refresh().catch((error) => {
+      console.error('[cache] Background refresh from Airtable failed; serving stale data:', error.message);
+    });
+  };
+
+  // Seed the in-process cache from the snapshot store once per process.
+  const hydrate = () => {
+    if (!hydration) {
+      hydration = (async () => {
+        if (!store || cache.data) return;
+        try {
+          const snapshot = await store.read();
+          if (!cache.data && Array.isArray(snapshot?.records)) {
+            const fetchedAt = Number(snapshot.fetchedAt) || 0;
+            // Snapshots written before removals were tracked start a fresh history.
+            const history = Array.isArray(snapshot.tombstones)
+              ? { tombstones: snapshot.tombstones, trackedSince: Number(snapshot.trackedSince) || fetchedAt }
+              : null;
+            cache = buildCache(snapshot.records, fetchedAt, { publicBaseUrl }, history);
+            console.log(
+              `[cache] Loaded ${cache.data.length} restaurant(s) from ${store.name} (fetched ${new Date(cache.fetchedAt).toISOString()}).`
+            );
+          }
+        } catch (error) {
+          console.warn(`[cache] Failed to read restaurants snapshot from ${store.name}:`, error.message);
+        }
+      })();
+    }
+    return hydration;
+  };
+
+  /**
+   * Resolve the restaurant list. `freshness` is `live` (just loaded), `cache` (within TTL)
+   * or `stale` (expired or from a snapshot, refresh running in the background).
+   * Only rejects when nothing has ever been loaded and Airtable is unreachable.
+   */
+  const fetchRestaurants = async (forceRefresh = false) => {
+    await hydrate();
+
+    if (forceRefresh || !cache.data) {
+      try {
+        return { ...(await refresh()), freshness: 'live' };
+      } catch (error) {
+        if (!cache.data) throw error;
+        console.error('[cache] Forced refresh from Airtable failed; serving stale data:', error.message);
+        return { ...cache, freshness: 'stale' };
+      }
+    }
+
+    if (Date.now() - cache.fetchedAt < ttl) {
+      return { ...cache, freshness: 'cache' };
+    }
+
+    refreshInBackground();
+    return { ...cache, freshness: 'stale' };
+  };
+
+  /**
+   * Re-read only the records with the given slugs and patch them into the cache, e.g. after an
+   * editor changed a handful of rows. Slugs Airtable no longer returns are dropped.
+   * `fetchedAt` is left alone: the rest of the data is no fresher than before.
+   */
+  const refreshSlugs = async (slugs) => {
+    await hydrate();
+    const wanted = [...new Set(slugs.map((slug) => String(slug).trim().toLowerCase()).filter(Boolean))];
+    if (!wanted.length) return { updated: [], removed: [] };
+    if (!cache.records) {
+      await refresh();
+      return { updated: wanted, removed: [] };
+    }
+
+    // Let a full refresh that is already running land first so it can't overwrite the patch.
+    if (inflight) await inflight.catch(() => {});
+
+    const formula = `OR(${wanted.map((slug) => `LOWER({Slug}) = "${slug.replace(/"/g, '\\"')}"`).join(', ')})`;
+    const fetched = (await table.select({ filterByFormula: formula }).all())
+      .map(({ id, fields, _rawJson }) => ({ id, fields, createdTime: _rawJson?.createdTime }));
+
+    const fetchedIds = new Set(fetched.map((record) => record.id));
+    const slugOf = (record) => String(record.fields?.['Slug'] || '').toLowerCase();
+    const records = cache.records
+      .filter((record) => !fetchedIds.has(record.id) && !wanted.includes(slugOf(record)))
+      .concat(fetched)
+      .sort((a, b) => String(a.fields?.['Name'] || '').localeCompare(String(b.fields?.['Name'] || '')));
+
+    cache = withHistory(buildCache(records, cache.fetchedAt, { publicBaseUrl }));
+    persist(cache);
+
+    const updated = fetched.map(slugOf);
+    return { updated, removed: wanted.filter((slug) => !updated.includes(slug)) };
+  };
+
+  // Boot-time warm-up: load the snapshot and start an Airtable refresh if it is out of date.
+  const warm = async () => {
+    await hydrate();
+    if (!cache.data || Date.now() - cache.fetchedAt >= ttl) refreshInBackground();
+  };
+
+  return { ttl, fetchRestaurants, refreshSlugs, warm };
+};
@@ -0,0 +1,100 @@
+import { createHash, createHmac } from 'node:crypto';
+
+const UPLOAD_TIMEOUT_MS = 30000;
+
+const sha256Hex = (value) => createHash('sha256').update(value).digest('hex');
+const hmac = (key, value) => createHmac('sha256', key).update(value).digest();
+
+// S3 wants RFC 3986 encoding per path segment, which is stricter than encodeURIComponent.
+const encodeKey = (key) =>
+  key
+    .split('/')
+    .map((segment) =>
+      encodeURIComponent(segment).replace(/[!'()*]/g, (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`)
+    )
+    .join('/');
+
+/**
+ * Minimal client for S3-compatible storage (AWS S3, MinIO, R2, …): signed PUTs and public URLs.
+ *
+ * `forcePathStyle` addresses the bucket as `<endpoint>/<bucket>/<key>` (MinIO and most self-hosted
+ * stores); turn it off for AWS virtual-hosted buckets (`<bucket>.<endpoint host>/<key>`).
+ * `publicBaseUrl` is where uploaded objects are read from, e.g. a CDN in front of the bucket;
+ * it defaults to the bucket's own URL.
+ */
+export const createS3Client = ({
+  endpoint,
+  region = 'us-east-1',
+  bucket,
+  accessKeyId,
+  secretAccessKey,
+  forcePathStyle = true,
+  publicBaseUrl = ''
+}) => {
+  if (!endpoint || !bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('createS3Client requires endpoint, bucket, accessKeyId and secretAccessKey.');
+  }
+
+  const base = new URL(endpoint);
+  const host = forcePathStyle ? base.host : `${bucket}.${base.host}`;
+  const bucketPath = forcePathStyle ? `/${encodeKey(bucket)}` : '';
+  const objectUrl = (key) => `${base.protocol}//${host}${bucketPath}/${encodeKey(key)}`;
+
+  // AWS Signature Version 4, signing only the headers S3 requires plus the content type.
+  const sign = ({ method, path, headers, payloadHash, now = new Date() }) => {
+    const amzDate = now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const day = amzDate.slice(0, 8);
+    const scope = `${day}/${region}/s3/aws4_request`;
+
+    const signed = { ...headers, host, 'x-amz-content-sha256': payloadHash, 'x-amz-date': amzDate };
+    const names = Object.keys(signed).map((name) => name.toLowerCase()).sort();
+    const lower = Object.fromEntries(Object.entries(signed).map(([name, value]) => [name.toLowerCase(), value]));
+    const canonicalHeaders = names.map((name) => `${name}:${String(lower[name]).trim()}\n`).join('');
+    const signedHeaders = names.join(';');
+
+    const canonicalRequest = [method, path, '', canonicalHeaders, signedHeaders, payloadHash].join('\n');
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+
+    const signingKey = ['s3', 'aws4_request'].reduce(
+      (key, part) => hmac(key, part),
+      hmac(hmac(`AWS4${secretAccessKey}`, day), region)
+    );
+    const signature = createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+    const { host: _host, ...sent } = signed;
+    return {
+      ...sent,
+      Authorization:
+        `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+    };
+  };
+
+  return {
+    urlOf: (key) =>
+      publicBaseUrl ? `${publicBaseUrl.replace(/\/+$/, '')}/${encodeKey(key)}` : objectUrl(key),
+
+    /**
+     * Upload `body` (a Buffer) under `key`. `metadata` becomes `x-amz-meta-*` headers.
+     * Throws with the storage's status and error code when the upload is refused.
+     */
+    async putObject(key, body, { contentType = 'application/octet-stream', cacheControl, metadata = {} } = {}) {
+      const headers = { 'content-type': contentType };
+      if (cacheControl) headers['cache-control'] = cacheControl;
+      for (const [name, value] of Object.entries(metadata)) {
+        headers[`x-amz-meta-${name.toLowerCase()}`] = String(value);
+      }
+
+      const response = await fetch(objectUrl(key), {
+        method: 'PUT',
+        headers: sign({ method: 'PUT', path: `${bucketPath}/${encodeKey(key)}`, headers, payloadHash: sha256Hex(body) }),
+        body,
+        signal: AbortSignal.timeout(UPLOAD_TIMEOUT_MS)
+      });
+      if (!response.ok) {
+        const text = await response.text().catch(() => '');
+        const code = text.match(/<Code>([^<]+)<\/Code>/)?.[1];
+        throw new Error(`Object storage PUT ${key} returned HTTP ${response.status}${code ? ` (${code})` : ''}`);
+      }
+    }
+  };
+};
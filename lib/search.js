@@ -0,0 +1,214 @@
+// In-memory full-text index over the cached restaurant list.
+// Matching is accent- and case-insensitive, supports prefixes (for autocomplete)
+// and tolerates small typos ("padela" → "Padella").
+
+const FIELD_WEIGHTS = {
+  name: 5,
+  cuisine: 3,
+  postcode: 2,
+  address: 1,
+  description: 0.5
+};
+
+const EXACT_SCORE = 1;
+const PREFIX_SCORE = 0.75;
+const FUZZY_SCORE = 0.6;
+const MIN_PREFIX_LENGTH = 2;
+
+// Every query term is compared against every indexed term, so queries are bounded up front.
+export const MAX_QUERY_LENGTH = 100;
+export const MAX_QUERY_TERMS = 8;
+
+const FOLD_OVERRIDES = { ß: 'ss', æ: 'ae', œ: 'oe', ø: 'o', ł: 'l', đ: 'd', ı: 'i' };
+
+export const foldText = (value) =>
+  String(value || '')
+    .normalize('NFD')
+    .replace(/\p{M}+/gu, '')
+    .toLowerCase()
+    .replace(/[ßæœøłđı]/g, (char) => FOLD_OVERRIDES[char]);
+
+const tokenize = (text) => {
+  const tokens = [];
+  const source = String(text || '');
+  for (const match of source.matchAll(/[\p{L}\p{N}]+/gu)) {
+    const term = foldText(match[0]);
+    if (term) tokens.push({ term, start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+};
+
+// Postcodes are also indexed without the space so "se11tq" and "SE1 1TQ" both match.
+const tokenizeField = (field, value) => {
+  const tokens = tokenize(value);
+  if (field === 'postcode' && tokens.length > 1) {
+    tokens.push({
+      term: tokens.map((token) => token.term).join(''),
+      start: tokens[0].start,
+      end: tokens[tokens.length - 1].end
+    });
+  }
+  return tokens;
+};
+
+const maxEditsFor = (term) => {
+  if (term.length >= 8) return 2;
+  if (term.length >= 4) return 1;
+  return 0;
+};
+
+// Optimal string alignment distance, abandoning early once `limit` is exceeded.
+const editDistance = (a, b, limit) => {
+  if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+  let previousPrevious = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, previousPrevious[j - 2] + 1);
+      }
+      current.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > limit) return limit + 1;
+    previousPrevious = previous;
+    previous = current;
+  }
+
+  return previous[b.length];
+};
+
+export const buildSearchIndex = (restaurants) => {
+  const postings = new Map();
+
+  const documents = restaurants.map((restaurant, docIndex) => {
+    const fields = {};
+    for (const field of Object.keys(FIELD_WEIGHTS)) {
+      const tokens = tokenizeField(field, restaurant[field]);
+      fields[field] = tokens;
+      for (const { term } of tokens) {
+        if (!postings.has(term)) postings.set(term, new Set());
+        postings.get(term).add(docIndex);
+      }
+    }
+    return { restaurant, fields };
+  });
+
+  return { documents, postings, terms: [...postings.keys()] };
+};
+
+// Every indexed term that a query token could refer to, with the quality of that match.
+const expandQueryTerm = (index, queryTerm) => {
+  const candidates = new Map();
+  const maxEdits = maxEditsFor(queryTerm);
+
+  for (const term of index.terms) {
+    let score = 0;
+    if (term === queryTerm) {
+      score = EXACT_SCORE;
+    } else if (queryTerm.length >= MIN_PREFIX_LENGTH && term.startsWith(queryTerm)) {
+      score = PREFIX_SCORE * (0.5 + (0.5 * queryTerm.length) / term.length);
+    } else if (maxEdits > 0) {
+      const distance = editDistance(queryTerm, term, maxEdits);
+      if (distance <= maxEdits) score = FUZZY_SCORE / distance;
+    }
+    if (score > 0) candidates.set(term, score);
+  }
+
+  return candidates;
+};
+
+const mergeRanges = (ranges) => {
+  const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  for (const range of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1]);
+    } else {
+      merged.push([...range]);
+    }
+  }
+  return merged;
+};
+
+/**
+ * Validate a raw `q` parameter. Returns `{ value }` with the trimmed query, or `{ error, message }`.
+ */
+export const parseSearchQuery = (raw) => {
+  const value = typeof raw === 'string' ? raw.trim() : '';
+  if (!value) {
+    return { error: 'invalid_query', message: 'q is required' };
+  }
+  if (value.length > MAX_QUERY_LENGTH) {
+    return { error: 'invalid_q', message: `q must be at most ${MAX_QUERY_LENGTH} characters.` };
+  }
+  if (new Set(tokenize(value).map((token) => token.term)).size > MAX_QUERY_TERMS) {
+    return { error: 'invalid_q', message: `q must contain at most ${MAX_QUERY_TERMS} words.` };
+  }
+  return { value };
+};
+
+/**
+ * Rank restaurants against a free-text query. Every query word must match
+ * (exactly, as a prefix or within the typo budget) somewhere in the record.
+ * Each result lists the character ranges that matched, per field, for highlighting.
+ */
+export const searchRestaurants = (index, query, { limit = 20 } = {}) => {
+  const queryTerms = [...new Set(tokenize(query).map((token) => token.term))];
+  if (!queryTerms.length) return [];
+
+  const expansions = queryTerms.map((term) => expandQueryTerm(index, term));
+  if (expansions.some((candidates) => candidates.size === 0)) return [];
+
+  // Only documents containing a candidate for every query term can match.
+  let docIds = null;
+  for (const candidates of expansions) {
+    const matching = new Set();
+    for (const term of candidates.keys()) {
+      for (const docId of index.postings.get(term)) matching.add(docId);
+    }
+    docIds = docIds ? new Set([...docIds].filter((docId) => matching.has(docId))) : matching;
+    if (!docIds.size) return [];
+  }
+
+  const results = [];
+
+  for (const docId of docIds) {
+    const { restaurant, fields } = index.documents[docId];
+    const ranges = {};
+    let score = 0;
+
+    for (const candidates of expansions) {
+      let best = 0;
+      for (const [field, tokens] of Object.entries(fields)) {
+        for (const token of tokens) {
+          const termScore = candidates.get(token.term);
+          if (!termScore) continue;
+          best = Math.max(best, termScore * FIELD_WEIGHTS[field]);
+          ranges[field] = ranges[field] || [];
+          ranges[field].push([token.start, token.end]);
+        }
+      }
+      score += best;
+    }
+
+    const highlights = Object.entries(ranges).map(([field, fieldRanges]) => ({
+      field,
+      value: String(restaurant[field]),
+      ranges: mergeRanges(fieldRanges)
+    }));
+
+    results.push({ score: Math.round(score * 1000) / 1000, highlights, restaurant });
+  }
+
+  return results
+    .sort((a, b) => b.score - a.score || a.restaurant.name.localeCompare(b.restaurant.name))
+    .slice(0, limit);
+};
@@ -0,0 +1,10 @@
+import slugify from 'slugify';
+
+// Collection endpoints served under /restaurants/<word>. A restaurant with one of these as its
+// slug would be shadowed by the route, so the worker flags it for an editor instead.
+export const RESERVED_SLUGS = ['availability', 'changes', 'clusters', 'facets', 'search'];
+
+export const toSlug = (name) =>
+  slugify(name || '', { lower: true, strict: true, trim: true });
+
+export const isReservedSlug = (slug) => RESERVED_SLUGS.includes(String(slug || '').toLowerCase());
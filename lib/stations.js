@@ -0,0 +1,66 @@
+import { readFileSync } from 'node:fs';
+
+import { haversineMeters, hasCoordinates } from './geo.js';
+import { toSlug } from './slug.js';
+
+const NEAREST_STATION_COUNT = 3;
+// Beyond this a station isn't really "nearby", so a restaurant may list fewer than three.
+const MAX_STATION_DISTANCE_METERS = 2000;
+// Walking estimates: streets add roughly 30% to the straight-line distance, walked at 4.8 km/h.
+const WALKING_DETOUR_FACTOR = 1.3;
+const WALKING_METERS_PER_MINUTE = 80;
+
+// Bundled with the repo; station ids are slugs of their names ("King's Cross St Pancras" → kings-cross-st-pancras).
+const STATIONS = JSON.parse(readFileSync(new URL('../data/tfl-stations.json', import.meta.url), 'utf8'))
+  .stations.map(({ aliases = [], ...station }) => ({ id: toSlug(station.name), aliases, ...station }));
+
+// Lookup key for what people type: any apostrophe, "Saint" for "St" and a trailing "station" are ignored.
+const stationKey = (value) =>
+  toSlug(String(value || '').replace(/[\u2018\u2019\u02bc`]/g, "'"))
+    .replace(/(^|-)saint(?=-|$)/g, '$1st')
+    .replace(/-(underground-|tube-)?station$/, '');
+
+// Names and ids win over aliases, so an alias can never hide another station.
+const STATIONS_BY_KEY = new Map();
+for (const station of STATIONS) STATIONS_BY_KEY.set(stationKey(station.name), station);
+for (const station of STATIONS) {
+  for (const alias of station.aliases) {
+    if (!STATIONS_BY_KEY.has(stationKey(alias))) STATIONS_BY_KEY.set(stationKey(alias), station);
+  }
+}
+
+// Accepts an id, a display name or an alias: "angel", "Angel", "King's Cross St Pancras", "kings cross".
+export const findStation = (value) => STATIONS_BY_KEY.get(stationKey(value)) || null;
+
+export const walkingMinutes = (distanceMeters) =>
+  Math.max(1, Math.ceil((distanceMeters * WALKING_DETOUR_FACTOR) / WALKING_METERS_PER_MINUTE));
+
+/**
+ * Up to three stations within 2 km of a point, nearest first, as
+ * `{ id, name, lines, distanceMeters, walkingMinutes }`. `distanceMeters` is the straight-line distance.
+ */
+export const nearestStations = (point, { count = NEAREST_STATION_COUNT } = {}) => {
+  if (!hasCoordinates(point)) return [];
+  return STATIONS.map((station) => ({ station, distanceMeters: Math.round(haversineMeters(point, station)) }))
+    .filter(({ distanceMeters }) => distanceMeters <= MAX_STATION_DISTANCE_METERS)
+    .sort((a, b) => a.distanceMeters - b.distanceMeters)
+    .slice(0, count)
+    .map(({ station, distanceMeters }) => ({
+      id: station.id,
+      name: station.name,
+      lines: station.lines,
+      distanceMeters,
+      walkingMinutes: walkingMinutes(distanceMeters)
+    }));
+};
+
+// The worker's `Nearest Stations JSON`; entries without an id and name are dropped.
+export const parseNearestStations = (value) => {
+  if (!value) return null;
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed.filter((station) => station?.id && station?.name) : null;
+  } catch (_err) {
+    return null;
+  }
+};
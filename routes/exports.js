@@ -0,0 +1,117 @@
+import express from 'express';
+
+import { recordsToCsv } from '../lib/airtableCsv.js';
+import { checkInternalAccess } from '../lib/auth.js';
+import { partitionMappable, toGeoJson, toKml } from '../lib/geoExport.js';
+import { toSitemapXml } from '../lib/jsonld.js';
+import { DEFAULT_SITE_BASE_URL } from '../lib/restaurants.js';
+
+/* ------------------------- Router Factory ------------------------- */
+
+const createExportsRouter = ({ source, siteBaseUrl = DEFAULT_SITE_BASE_URL, internalToken = '' }) => {
+  if (!source) {
+    throw new Error('createExportsRouter requires a restaurants source.');
+  }
+
+  const { ttl, fetchRestaurants } = source;
+  const router = express.Router();
+
+  const sendExport = (res, { data, fetchedAt, freshness }, { contentType, filename, body }) => {
+    const { skipped } = partitionMappable(data);
+
+    res.set('Cache-Control', `public, max-age=${Math.floor(ttl / 1000)}`);
+    res.set('X-Data-Fresh', freshness);
+    res.set('X-Skipped-Restaurants', String(skipped.length));
+    res.set('Content-Disposition', `inline; filename="${filename}"`);
+    res.type(contentType);
+
+    return res.send(body(data, { generatedAt: new Date(fetchedAt).toISOString() }));
+  };
+
+  /* ------------------------- GET /restaurants.geojson ------------------------- */
+  router.get('/restaurants.geojson', async (_req, res) => {
+    try {
+      const result = await fetchRestaurants(false);
+      return sendExport(res, result, {
+        contentType: 'application/geo+json',
+        filename: 'restaurants.geojson',
+        body: (data, meta) => JSON.stringify(toGeoJson(data, meta))
+      });
+    } catch (error) {
+      console.error('Failed to export restaurants as GeoJSON:', error);
+      return res.status(500).json({
+        error: 'failed_to_export_restaurants',
+        message: 'Unable to export restaurants as GeoJSON.'
+      });
+    }
+  });
+
+  /* ------------------------- GET /restaurants.kml ------------------------- */
+  router.get('/restaurants.kml', async (_req, res) => {
+    try {
+      const result = await fetchRestaurants(false);
+      return sendExport(res, result, {
+        contentType: 'application/vnd.google-earth.kml+xml',
+        filename: 'restaurants.kml',
+        body: toKml
+      });
+    } catch (error) {
+      console.error('Failed to export restaurants as KML:', error);
+      return res.status(500).json({
+        error: 'failed_to_export_restaurants',
+        message: 'Unable to export restaurants as KML.'
+      });
+    }
+  });
+
+  /* ------------------------- GET /restaurants.csv ------------------------- */
+  // Raw Airtable table in the airtable_restaurants_seed.csv layout (re-importable).
+  // It carries notes and booking ids, so it needs the internal token.
+  router.get('/restaurants.csv', async (req, res) => {
+    const denied = checkInternalAccess(req, internalToken);
+    if (denied) {
+      return res.status(denied.status).json({ error: denied.error, message: denied.message });
+    }
+
+    try {
+      const { records, freshness } = await fetchRestaurants(false);
+
+      res.set('Cache-Control', 'private, no-store');
+      res.set('Vary', 'Authorization');
+      res.set('X-Data-Fresh', freshness);
+      res.set('Content-Disposition', 'attachment; filename="restaurants.csv"');
+      res.type('text/csv');
+
+      return res.send(recordsToCsv(records));
+    } catch (error) {
+      console.error('Failed to export restaurants as CSV:', error);
+      return res.status(500).json({
+        error: 'failed_to_export_restaurants',
+        message: 'Unable to export restaurants as CSV.'
+      });
+    }
+  });
+
+  /* ------------------------- GET /sitemap.xml ------------------------- */
+  router.get('/sitemap.xml', async (_req, res) => {
+    try {
+      const { data, freshness } = await fetchRestaurants(false);
+
+      res.set('Cache-Control', `public, max-age=${Math.floor(ttl / 1000)}`);
+      res.set('X-Data-Fresh', freshness);
+      res.type('application/xml');
+
+      return res.send(toSitemapXml(data, { siteBaseUrl }));
+    } catch (error) {
+      console.error('Failed to build sitemap:', error);
+      return res.status(500).json({
+        error: 'failed_to_build_sitemap',
+        message: 'Unable to build sitemap.'
+      });
+    }
+  });
+
+  return router;
+};
+
+export default createExportsRouter;
@@ -1,11 +1,18 @@
+import Bottleneck from 'bottleneck';
 import express from 'express';
-import fetch from 'node-fetch';
 
-const router = express.Router();
+import { instagramUsernameOf } from '../lib/instagram.js';
+import { createRateLimiter } from '../lib/rateLimit.js';
+import { findBySlug } from '../lib/restaurants.js';
 
-const cache = new Map();
 const CACHE_TTL_MS = 1000 * 60 * 60 * 6; // 6 hours
-const MAX_POSTS = 6;
+const FETCH_TIMEOUT_MS = 10000;
+const DEFAULT_LIMIT = 6;
+const MAX_LIMIT = 12;
+// Profiles waiting for the Instagram lane. With calls a second apart, more than this would keep
+// clients waiting longer than is useful, so extra misses are turned away with a 503.
+const MAX_QUEUED_FETCHES = 10;
+const RETRY_AFTER_SECONDS = 30;
 
 const USER_AGENT =
   'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/123.0.0.0 Safari/537.36';
@@ -139,7 +146,7 @@ const extractCaption = (node = {}) => {
 };
 
 const mapPosts = (edges) =>
-  edges.slice(0, MAX_POSTS).map((edge) => {
+  edges.slice(0, MAX_LIMIT).map((edge) => {
     const node = edge?.node || edge;
     const shortcode = extractShortcode(node);
     return {
@@ -317,7 +324,10 @@ async function tryJsonEndpoints(username) {
   for (const builder of JSON_ENDPOINTS) {
     const url = builder(username);
     try {
-      const response = await fetch(url, { headers: jsonHeaders(username) });
+      const response = await fetch(url, {
+        headers: jsonHeaders(username),
+        signal: AbortSignal.timeout(FETCH_TIMEOUT_MS)
+      });
       if (response.status === 404) {
         return { status: 404 };
       }
@@ -366,7 +376,10 @@ async function fetchHtml(username) {
 
   for (const attempt of attempts) {
     try {
-      const response = await fetch(attempt.url, attempt.options);
+      const response = await fetch(attempt.url, {
+        ...attempt.options,
+        signal: AbortSignal.timeout(FETCH_TIMEOUT_MS)
+      });
       if (!response.ok) {
         errors.push(`HTTP ${response.status} (${attempt.url})`);
         continue;
@@ -428,47 +441,161 @@ async function fetchFromHtml(username) {
   return { error: 'Unable to extract media from HTML response' };
 }
 
-router.get('/:username', async (req, res) => {
-  const username = req.params.username?.trim().toLowerCase();
+async function fetchPosts(username) {
+  const jsonResult = await tryJsonEndpoints(username);
+  if (jsonResult?.status === 404) {
+    return { notFound: true };
+  }
+  let edges = jsonResult?.edges;
+  let source = jsonResult?.from || 'json';
 
-  if (!username) {
-    return res.status(400).json({ error: 'Missing Instagram username' });
+  if (!edges?.length) {
+    const htmlResult = await fetchFromHtml(username);
+    if (htmlResult?.error) {
+      throw new Error(htmlResult.error);
+    }
+    edges = htmlResult.edges;
+    source = htmlResult.from;
   }
 
-  const cached = cache.get(username);
-  if (cached && Date.now() - cached.timestamp < CACHE_TTL_MS) {
-    return res.json({ username, fromCache: true, posts: cached.data });
+  if (!edges?.length) {
+    throw new Error('No media edges found in Instagram response');
   }
 
-  try {
-    const jsonResult = await tryJsonEndpoints(username);
-    if (jsonResult?.status === 404) {
-      return res.status(404).json({ error: 'Instagram profile not found' });
+  return { posts: mapPosts(edges), source };
+}
+
+/* ------------------------- Router Factory ------------------------- */
+
+// Mounted at /restaurants/:slug/instagram. The handle always comes from the restaurant's
+// Instagram field, so the route can't be used to scrape arbitrary profiles.
+const createInstagramRouter = ({ source, rateLimit = {} }) => {
+  if (!source) {
+    throw new Error('createInstagramRouter requires a restaurants source.');
+  }
+
+  const { fetchRestaurants } = source;
+  const cache = new Map();
+  const inflight = new Map();
+  // Every caller shares one slow lane to Instagram, however many clients are asking. When the
+  // queue is full, new fetches are dropped rather than piling up behind it.
+  const upstream = new Bottleneck({
+    maxConcurrent: 1,
+    minTime: 1000,
+    highWater: MAX_QUEUED_FETCHES,
+    strategy: Bottleneck.strategy.OVERFLOW
+  });
+
+  const cachedPostsOf = (username) => {
+    const cached = cache.get(username);
+    return cached && Date.now() - cached.timestamp < CACHE_TTL_MS ? cached : null;
+  };
+
+  // Only cache misses reach the queue, and concurrent misses for a profile share one fetch.
+  const loadPosts = (username) => {
+    if (!inflight.has(username)) {
+      const pending = upstream
+        .schedule(() => fetchPosts(username))
+        .then((result) => {
+          if (result.posts) cache.set(username, { timestamp: Date.now(), ...result });
+          return result;
+        })
+        .finally(() => inflight.delete(username));
+      inflight.set(username, pending);
+    }
+    return inflight.get(username);
+  };
+
+  const router = express.Router({ mergeParams: true });
+  router.use(createRateLimiter(rateLimit));
+
+  /* ------------------------- GET /restaurants/:slug/instagram ------------------------- */
+  router.get('/', async (req, res) => {
+    const slugParam = req.params.slug?.toLowerCase();
+
+    const limit = req.query.limit === undefined ? DEFAULT_LIMIT : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+      return res.status(400).json({
+        error: 'invalid_limit',
+        message: `limit must be an integer between 1 and ${MAX_LIMIT}.`
+      });
     }
-    let edges = jsonResult?.edges;
-    let source = jsonResult?.from || 'json';
 
-    if (!edges?.length) {
-      const htmlResult = await fetchFromHtml(username);
-      if (htmlResult?.error) {
-        throw new Error(htmlResult.error);
+    let username;
+    try {
+      const { data } = await fetchRestaurants(false);
+      const match = findBySlug(data, slugParam);
+      if (!match) {
+        return res.status(404).json({
+          error: 'restaurant_not_found',
+          message: `No restaurant found for slug: ${slugParam}`
+        });
       }
-      edges = htmlResult.edges;
-      source = htmlResult.from;
+      username = instagramUsernameOf(match.instagram);
+    } catch (error) {
+      console.error('Failed to load restaurants from Airtable:', error);
+      return res.status(500).json({
+        error: 'failed_to_load_restaurants',
+        message: 'Unable to load restaurants from Airtable.'
+      });
     }
 
-    if (!edges?.length) {
-      throw new Error('No media edges found in Instagram response');
+    if (!username) {
+      return res.status(404).json({
+        error: 'instagram_not_found',
+        message: `No Instagram profile is recorded for ${slugParam}.`
+      });
     }
 
-    const posts = mapPosts(edges);
-    cache.set(username, { timestamp: Date.now(), data: posts });
+    res.set('Cache-Control', 'public, max-age=3600');
+
+    const cached = cachedPostsOf(username);
+    if (cached) {
+      return res.json({
+        slug: slugParam,
+        username,
+        fromCache: true,
+        source: cached.source,
+        posts: cached.posts.slice(0, limit)
+      });
+    }
 
-    res.json({ username, fromCache: false, source, posts });
-  } catch (error) {
-    console.error(`\u274c Instagram fetch failed for ${username}:`, error);
-    res.status(502).json({ error: 'Failed to fetch Instagram feed' });
-  }
-});
+    try {
+      const result = await loadPosts(username);
+      if (result.notFound) {
+        res.set('Cache-Control', 'no-store');
+        return res.status(404).json({
+          error: 'instagram_profile_not_found',
+          message: `Instagram profile not found: ${username}`
+        });
+      }
+
+      return res.json({
+        slug: slugParam,
+        username,
+        fromCache: false,
+        source: result.source,
+        posts: result.posts.slice(0, limit)
+      });
+    } catch (error) {
+      if (error instanceof Bottleneck.BottleneckError) {
+        res.set('Cache-Control', 'no-store');
+        res.set('Retry-After', String(RETRY_AFTER_SECONDS));
+        return res.status(503).json({
+          error: 'instagram_busy',
+          message: `Too many Instagram profiles are waiting to be fetched. Try again in ${RETRY_AFTER_SECONDS} seconds.`
+        });
+      }
+      console.error(`\u274c Instagram fetch failed for ${username}:`, error);
+      res.set('Cache-Control', 'no-store');
+      return res.status(502).json({
+        error: 'failed_to_fetch_instagram',
+        message: 'Failed to fetch Instagram feed.'
+      });
+    }
+  });
+
+  return router;
+};
 
-export default router;
+export default createInstagramRouter;
@@ -0,0 +1,147 @@
+import express from 'express';
+
+import { createPhotoCache, fetchGooglePhoto, parsePhotoWidth } from '../lib/photos.js';
+import { findBySlug } from '../lib/restaurants.js';
+
+const DEFAULT_CACHE_DIR = '.cache/photos';
+const PHOTO_MAX_AGE_SECONDS = 86400;
+
+/* ------------------------- Router Factory ------------------------- */
+
+// Mounted at /photos. Serves each restaurant's Google Places photo from a disk cache,
+// fetching it with the server's key on a miss.
+const createPhotosRouter = ({ source, googleApiKey = '', cacheDir = DEFAULT_CACHE_DIR }) => {
+  if (!source) {
+    throw new Error('createPhotosRouter requires a restaurants source.');
+  }
+
+  const { fetchRestaurants } = source;
+  const photoCache = createPhotoCache({ dir: cacheDir });
+  const inflight = new Map();
+
+  // Concurrent misses for the same photo share one download.
+  const downloadPhoto = (key, reference, width) => {
+    if (!inflight.has(key)) {
+      const pending = fetchGooglePhoto({ reference, width, apiKey: googleApiKey })
+        .then(async (photo) => {
+          try {
+            await photoCache.write(key, photo);
+          } catch (error) {
+            console.warn(`[photos] Failed to cache ${key}:`, error.message);
+          }
+          return photo;
+        })
+        .finally(() => inflight.delete(key));
+      inflight.set(key, pending);
+    }
+    return inflight.get(key);
+  };
+
+  // `pickReference(restaurant)` chooses which of the restaurant's photos to serve.
+  const sendPhoto = async (req, res, pickReference) => {
+    const slugParam = req.params.slug?.toLowerCase();
+
+    const widthResult = parsePhotoWidth(req.query.w);
+    if (widthResult.error) {
+      return res.status(400).json({ error: widthResult.error, message: widthResult.message });
+    }
+
+    let reference;
+    try {
+      const { data, internal } = await fetchRestaurants(false);
+      if (!findBySlug(data, slugParam)) {
+        return res.status(404).json({
+          error: 'restaurant_not_found',
+          message: `No restaurant found for slug: ${slugParam}`
+        });
+      }
+      reference = pickReference(findBySlug(internal, slugParam));
+    } catch (error) {
+      console.error('Failed to load restaurants from Airtable:', error);
+      return res.status(500).json({
+        error: 'failed_to_load_restaurants',
+        message: 'Unable to load restaurants from Airtable.'
+      });
+    }
+
+    if (typeof reference !== 'string' || !reference) {
+      return res.status(404).json({
+        error: 'photo_not_found',
+        message: req.params.photoId
+          ? `No photo ${req.params.photoId} is published for ${slugParam}.`
+          : `No photo is stored for ${slugParam}.`
+      });
+    }
+
+    const key = photoCache.keyOf(reference, widthResult.width);
+    res.set('ETag', `"${key}"`);
+    res.set('Cache-Control', `public, max-age=${PHOTO_MAX_AGE_SECONDS}`);
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    try {
+      const cached = await photoCache.read(key);
+      if (cached) {
+        res.set('X-Photo-Cache', 'hit');
+        return res.type(cached.contentType).send(cached.body);
+      }
+    } catch (error) {
+      console.warn(`[photos] Failed to read cached ${key}:`, error.message);
+    }
+
+    if (!googleApiKey) {
+      res.set('Cache-Control', 'no-store');
+      return res.status(503).json({
+        error: 'photos_unavailable',
+        message: 'Photo proxy is not configured. Set GOOGLE_PLACES_API_KEY on the feed server.'
+      });
+    }
+
+    try {
+      const photo = await downloadPhoto(key, reference, widthResult.width);
+      res.set('X-Photo-Cache', 'miss');
+      return res.type(photo.contentType).send(photo.body);
+    } catch (error) {
+      console.error(`Failed to fetch photo for ${slugParam}:`, error.message);
+      res.set('Cache-Control', 'no-store');
+      return res.status(502).json({
+        error: 'failed_to_fetch_photo',
+        message: 'Unable to fetch the photo from Google Places.'
+      });
+    }
+  };
+
+  const servePhoto = async (req, res, pickReference) => {
+    try {
+      return await sendPhoto(req, res, pickReference);
+    } catch (error) {
+      console.error(`Failed to serve photo for ${req.params.slug}:`, error);
+      if (res.headersSent) return res.end();
+      res.set('Cache-Control', 'no-store');
+      return res.status(500).json({
+        error: 'failed_to_serve_photo',
+        message: 'Unable to serve the photo.'
+      });
+    }
+  };
+
+  const router = express.Router();
+
+  /* ------------------------- GET /photos/:slug?w= ------------------------- */
+  router.get('/:slug', (req, res) => servePhoto(req, res, (restaurant) => restaurant?.photoReference));
+
+  /* ------------------------- GET /photos/:slug/:photoId?w= ------------------------- */
+  // Only photos in the published gallery resolve; hidden ones 404. Own keys only, so ids such as
+  // `__proto__` or `constructor` can't reach Object.prototype.
+  router.get('/:slug/:photoId', (req, res) =>
+    servePhoto(req, res, (restaurant) => {
+      const references = restaurant?.photoReferences || {};
+      return Object.hasOwn(references, req.params.photoId) ? references[req.params.photoId] : null;
+    })
+  );
+
+  return router;
+};
+
+export default createPhotosRouter;
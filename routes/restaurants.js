@@ -1,109 +1,275 @@
+import Bottleneck from 'bottleneck';
 import express from 'express';
 
-const DEFAULT_TTL = 300000;
+import { CURSOR_OVERLAP_MS, collectChanges, encodeChangesCursor, parseSince } from '../lib/changes.js';
+import { applyFilters, buildFacets, parseFilters } from '../lib/filters.js';
+import { applyGeoQuery, parseGeoQuery } from '../lib/geo.js';
+import { clusterRestaurants } from '../lib/clusters.js';
+import { validateQuery } from '../lib/openapi.js';
+import { paginate, parseFields, parsePagination, projectFields } from '../lib/pagination.js';
+import { buildSearchIndex, parseSearchQuery, searchRestaurants } from '../lib/search.js';
+import { rankRelated } from '../lib/related.js';
+import { toRestaurantJsonLd } from '../lib/jsonld.js';
+import { getOpenState, londonWallTime } from '../lib/openingHours.js';
+import {
+  DEFAULT_SITE_BASE_URL,
+  PUBLIC_FIELDS,
+  findBySlug,
+  hashOf,
+  toInternalRestaurant,
+  toRestaurant
+} from '../lib/restaurants.js';
+import {
+  createAvailabilityCache,
+  isWithinWindows,
+  parseAvailabilityQuery,
+  parseAvailabilitySearchQuery,
+  rankSlots,
+  withTimeout
+} from '../lib/availability.js';
+import { getBookingProvider } from '../utils/booking.js';
+import { checkInternalAccess, hasInternalToken, hasValidSignature } from '../lib/auth.js';
+import { createRateLimiter } from '../lib/rateLimit.js';
+
+const DEFAULT_SEARCH_LIMIT = 20;
+const MAX_SEARCH_LIMIT = 100;
+const MAX_MAP_ZOOM = 22;
+// What a map marker needs by default; ?fields= on /clusters can ask for more.
+const MARKER_FIELDS = ['name', 'slug', 'lat', 'lng', 'cuisine', 'priceLevel', 'rating', 'photoUrl'];
+const DEFAULT_CHANGES_LIMIT = 200;
+const MAX_CHANGES_LIMIT = 500;
+const DEFAULT_RELATED_LIMIT = 6;
+const MAX_RELATED_LIMIT = 24;
+const DEFAULT_AVAILABILITY_TTL_MS = 120000;
+// Budget for GET /restaurants/availability: how hard one search may lean on booking providers.
+const DEFAULT_AVAILABILITY_SEARCH = {
+  concurrency: 4,
+  minTimeMs: 100,
+  timeoutMs: 8000,
+  maxVenues: 40,
+  ttlMs: 180000
+};
+// A search fans out to up to maxVenues provider lookups, so each one counts as several venue
+// lookups against the per-client availability rate limit.
+const AVAILABILITY_SEARCH_RATE_COST = 5;
+
+// Keeps the Airtable filterByFormula for a partial refresh well under its URL length limit.
+const MAX_INVALIDATE_SLUGS = 100;
+// A full reload reads the whole table, so at most one is started per interval; calls inside the
+// window are folded into one reload at its end.
+const FULL_REFRESH_INTERVAL_MS = 30000;
+
+const OPEN_STATE_FIELDS = ['openNow', 'opensAt', 'closesAt'];
+const DERIVED_FIELDS = [...OPEN_STATE_FIELDS, 'distanceMeters'];
+
+// The public view serves enriched records only, projected to display fields. The internal view
+// (?view=internal, Bearer token required) serves every record with all fields and diagnostics.
+const VIEWS = {
+  public: {
+    fields: [...PUBLIC_FIELDS, ...DERIVED_FIELDS],
+    select: ({ data, version }) => ({ data, version })
+  },
+  internal: {
+    fields: [...Object.keys(toInternalRestaurant(toRestaurant({ fields: {} }))), ...DERIVED_FIELDS],
+    select: ({ internal, internalVersion }) => ({ data: internal, version: internalVersion })
+  }
+};
+
+// Parse every list-narrowing query param up front so bad input fails before Airtable is hit.
+const parseListQuery = (query, knownFields) => {
+  const geoResult = parseGeoQuery(query);
+  if (geoResult.error) return geoResult;
+
+  const filterResult = parseFilters(query);
+  if (filterResult.error) return filterResult;
 
-/* ------------------------- Helpers ------------------------- */
+  const pageResult = parsePagination(query);
+  if (pageResult.error) return pageResult;
 
-const numericOrNull = (value) => {
-  if (value === undefined || value === null) return null;
-  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  const fieldsResult = parseFields(query.fields, knownFields);
+  if (fieldsResult.error) return fieldsResult;
 
-  const parsed = Number.parseFloat(String(value));
-  return Number.isFinite(parsed) ? parsed : null;
+  return {
+    geo: geoResult.geo,
+    filters: filterResult.filters,
+    page: pageResult.page,
+    fields: fieldsResult.fields
+  };
 };
 
-const parseOpeningHours = (value) => {
-  if (!value) return [];
-  if (Array.isArray(value)) return value;
+// Body of POST /_invalidate: empty (full refresh) or `{ "slugs": ["padella", …] }`.
+const parseInvalidateBody = (raw) => {
+  const text = Buffer.isBuffer(raw) ? raw.toString('utf8').trim() : '';
+  if (!text) return { slugs: null };
 
-  if (typeof value === 'string') {
-    try {
-      const parsed = JSON.parse(value);
-      return Array.isArray(parsed) ? parsed : [];
-    } catch (_err) {
-      return [];
-    }
+  let body;
+  try {
+    body = JSON.parse(text);
+  } catch (_err) {
+    return { error: 'invalid_body', message: 'Body must be empty or a JSON object.' };
   }
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { error: 'invalid_body', message: 'Body must be empty or a JSON object.' };
+  }
+  if (body.slugs === undefined || body.slugs === null) return { slugs: null };
 
-  return [];
+  const { slugs } = body;
+  if (!Array.isArray(slugs) || !slugs.every((slug) => typeof slug === 'string' && slug.trim())) {
+    return { error: 'invalid_slugs', message: 'slugs must be an array of non-empty strings.' };
+  }
+  if (slugs.length > MAX_INVALIDATE_SLUGS) {
+    return { error: 'invalid_slugs', message: `At most ${MAX_INVALIDATE_SLUGS} slugs per request.` };
+  }
+  return { slugs };
 };
 
-const toRestaurant = (record) => {
-  const fields = record.fields || {};
+const selectRestaurants = (data, { geo, filters }) => applyGeoQuery(applyFilters(data, filters), geo);
 
-  return {
-    id: record.id,
-    name: fields['Name'] || '',
-    slug: fields['Slug'] || '',
-    apiSource: fields['API Source'] || null,
-    apiId: fields['API ID'] || null,
-    placeId: fields['Place ID'] || null,
-    address: fields['Address'] || '',
-    city: fields['City'] || '',
-    postcode: fields['Postcode'] || '',
-    lat: numericOrNull(fields['Lat']),
-    lng: numericOrNull(fields['Lng']),
-    website: fields['Website'] || '',
-    instagram: fields['Instagram'] || '',
-    phone: fields['Phone'] || '',
-    cuisine: fields['Cuisine'] || '',
-    priceLevel: numericOrNull(fields['Price Level']),
-    rating: numericOrNull(fields['Rating']),
-    userRatings: numericOrNull(fields['User Ratings']),
-    openingHours: parseOpeningHours(fields['Opening Hours JSON']),
-    photoUrl: fields['Photo URL'] || '',
-    photoAttribution: fields['Photo Attribution'] || '',
-    description: fields['Description'] || '',
-    lastEnriched: fields['Last Enriched'] || null,
-    enrichmentStatus: fields['Enrichment Status'] || null,
-    notes: fields['Notes'] || ''
-  };
-};
+// openNow / opensAt / closesAt depend on the clock, so they are added per response rather than cached.
+const withOpenState = (restaurant, wall) => ({
+  ...restaurant,
+  ...getOpenState(restaurant.schedule, wall)
+});
 
 /* ------------------------- Router Factory ------------------------- */
 
-const createRestaurantsRouter = ({ table, cacheTtlMs = DEFAULT_TTL }) => {
-  if (!table) {
-    throw new Error('createRestaurantsRouter requires a configured Airtable table instance.');
+const createRestaurantsRouter = ({
+  source,
+  siteBaseUrl = DEFAULT_SITE_BASE_URL,
+  internalToken = '',
+  webhookSecret = '',
+  availabilityTtlMs = DEFAULT_AVAILABILITY_TTL_MS,
+  availabilitySearch = {},
+  availabilityRateLimit = {}
+}) => {
+  if (!source) {
+    throw new Error('createRestaurantsRouter requires a restaurants source.');
   }
 
-  const ttl = Number.isFinite(cacheTtlMs) && cacheTtlMs > 0 ? cacheTtlMs : DEFAULT_TTL;
+  const { ttl, fetchRestaurants, refreshSlugs } = source;
+
+  // The search index is rebuilt lazily whenever a refresh replaces the cached list.
+  const searchIndexes = new WeakMap();
+  const getSearchIndex = (data) => {
+    if (!searchIndexes.has(data)) searchIndexes.set(data, buildSearchIndex(data));
+    return searchIndexes.get(data);
+  };
+
+  // Conditional GET support. The ETag covers the dataset version and the request URL; payloads
+  // that include openNow/opensAt/closesAt also vary with the London minute they were computed in.
+  const isNotModified = (req, res, version, fields) => {
+    const clockSensitive = !fields || fields.some((field) => OPEN_STATE_FIELDS.includes(field));
+    const parts = [version, req.originalUrl];
+    if (clockSensitive) parts.push(londonWallTime().toISOString());
 
-  let cache = {
-    data: null,
-    fetchedAt: 0
+    res.set('ETag', `"${hashOf(parts.join('|'))}"`);
+    return req.fresh;
   };
 
-  const fetchRestaurants = async (forceRefresh = false) => {
-    const now = Date.now();
-    if (!forceRefresh && cache.data && now - cache.fetchedAt < ttl) {
-      return { data: cache.data, fetchedAt: cache.fetchedAt, cached: true };
+  const resolveView = (req) => {
+    const view = req.query.view ?? 'public';
+    if (!Object.hasOwn(VIEWS, view)) {
+      return { status: 400, error: 'invalid_view', message: 'view must be "public" or "internal".' };
     }
+    if (view === 'internal') {
+      const denied = checkInternalAccess(req, internalToken);
+      if (denied) return denied;
+    }
+    return { view, ...VIEWS[view] };
+  };
 
-    const records = await table
-      .select({
-        sort: [{ field: 'Name', direction: 'asc' }]
-      })
-      .all();
+  // Internal payloads must never land in a shared cache.
+  const setFeedHeaders = (res, freshness, view = 'public') => {
+    if (view === 'internal') {
+      res.set('Cache-Control', 'private, no-store');
+      res.set('Vary', 'Authorization');
+    } else {
+      res.set('Cache-Control', `public, max-age=${Math.floor(ttl / 1000)}`);
+    }
+    res.set('X-Data-Fresh', freshness);
+  };
+
+  // Slots are cached per venue, party size and date range; windows are applied afterwards.
+  const availabilityCache = createAvailabilityCache({ ttlMs: availabilityTtlMs });
+  const availabilityCacheKey = (venue, { partySize, from, days, timeSlot }) =>
+    [venue.apiSource, venue.apiId, partySize, from, days, timeSlot].join('|');
+
+  // One provider budget shared by every concurrent search. When the queue is full, new lookups
+  // are dropped and reported as unavailable rather than piling up behind slow providers.
+  const searchBudget = { ...DEFAULT_AVAILABILITY_SEARCH, ...availabilitySearch };
+  const providerLimiter = new Bottleneck({
+    maxConcurrent: searchBudget.concurrency,
+    minTime: searchBudget.minTimeMs,
+    highWater: searchBudget.maxVenues * 2,
+    strategy: Bottleneck.strategy.OVERFLOW
+  });
+  const searchCache = createAvailabilityCache({ ttlMs: searchBudget.ttlMs });
+  // Per-venue lookups go straight to the provider on a cache miss, so each client IP is throttled.
+  const venueAvailabilityLimiter = createRateLimiter(availabilityRateLimit);
+  const searchAvailabilityLimiter = createRateLimiter({
+    ...availabilityRateLimit,
+    max: Math.max(1, Math.floor((availabilityRateLimit.max ?? 30) / AVAILABILITY_SEARCH_RATE_COST))
+  });
 
-    const data = records.map(toRestaurant);
-    cache = { data, fetchedAt: Date.now() };
-    return { data, fetchedAt: cache.fetchedAt, cached: false };
+  const searchVenue = async ({ restaurant, venue, provider }, search) => {
+    const options = { partySize: search.partySize, from: search.date, days: 1, timeSlot: search.time };
+    try {
+      const { value } = await withTimeout(
+        availabilityCache.load(availabilityCacheKey(venue, options), () =>
+          providerLimiter.schedule(() => provider.fetchAvailability(venue.apiId, { ...options, windows: [] }))
+        ),
+        searchBudget.timeoutMs
+      );
+      return { restaurant, provider: provider.source, slots: rankSlots(value, search) };
+    } catch (error) {
+      const reason = error.code === 'ETIMEDOUT' ? 'timeout' : 'error';
+      if (reason === 'error') {
+        console.warn(`[availability] ${provider.source} lookup failed for ${restaurant.slug}:`, error.message);
+      }
+      return { restaurant, provider: provider.source, unavailable: reason };
+    }
+  };
+
+  const runAvailabilitySearch = async (candidates, search) => {
+    const outcomes = await Promise.all(candidates.map((candidate) => searchVenue(candidate, search)));
+    const venues = outcomes
+      .filter((outcome) => outcome.slots?.length)
+      .sort((a, b) =>
+        Math.abs(a.slots[0].offsetMinutes) - Math.abs(b.slots[0].offsetMinutes) ||
+        a.restaurant.name.localeCompare(b.restaurant.name)
+      );
+    const unavailable = outcomes
+      .filter((outcome) => outcome.unavailable)
+      .map(({ restaurant, provider, unavailable: reason }) => ({ slug: restaurant.slug, provider, reason }));
+    return { searched: candidates.length, venues, unavailable };
   };
 
   const router = express.Router();
 
   /* ------------------------- GET /restaurants (full list OR ?slug=) ------------------------- */
-  router.get('/', async (req, res) => {
+  router.get('/', validateQuery('/restaurants'), async (req, res) => {
     try {
-      const force = req.query.refresh === 'true';
+      // Forcing an Airtable round-trip is reserved for token holders; everyone else gets the cache.
+      const force = req.query.refresh === 'true' && hasInternalToken(req, internalToken);
       const slug = req.query.slug?.toLowerCase();
 
-      const { data, fetchedAt, cached } = await fetchRestaurants(force);
+      const view = resolveView(req);
+      if (view.error) {
+        return res.status(view.status).json({ error: view.error, message: view.message });
+      }
+
+      const listQuery = parseListQuery(req.query, view.fields);
+      if (listQuery.error) {
+        return res.status(400).json({ error: listQuery.error, message: listQuery.message });
+      }
+
+      const result = await fetchRestaurants(force);
+      const { fetchedAt, freshness } = result;
+      const { data, version } = view.select(result);
 
       // If query param ?slug=... is passed → return single item
       if (slug) {
-        const match = data.find((r) => r.slug?.toLowerCase() === slug);
+        const match = findBySlug(data, slug);
 
         if (!match) {
           return res.status(404).json({
@@ -112,20 +278,33 @@ const createRestaurantsRouter = ({ table, cacheTtlMs = DEFAULT_TTL }) => {
           });
         }
 
-        res.set('Cache-Control', `public, max-age=${Math.floor(ttl / 1000)}`);
-        res.set('X-Data-Fresh', cached ? 'cache' : 'live');
+        setFeedHeaders(res, freshness, view.view);
+
+        if (isNotModified(req, res, version, listQuery.fields)) {
+          return res.status(304).end();
+        }
 
-        return res.json(match);
+        return res.json(projectFields(withOpenState(match, londonWallTime()), listQuery.fields));
       }
 
-      // Otherwise return full list
-      res.set('Cache-Control', `public, max-age=${Math.floor(ttl / 1000)}`);
-      res.set('X-Data-Fresh', cached ? 'cache' : 'live');
+      setFeedHeaders(res, freshness, view.view);
+
+      if (isNotModified(req, res, version, listQuery.fields)) {
+        return res.status(304).end();
+      }
+
+      // Otherwise return full list (optionally narrowed by filters and ?near= / ?bbox=)
+      const selected = selectRestaurants(data, listQuery);
+      const { items, nextCursor } = paginate(selected, listQuery.page);
+      const wall = londonWallTime();
+      const restaurants = items.map((r) => projectFields(withOpenState(r, wall), listQuery.fields));
 
       return res.json({
         generatedAt: new Date(fetchedAt).toISOString(),
-        count: data.length,
-        restaurants: data
+        count: restaurants.length,
+        total: selected.length,
+        nextCursor,
+        restaurants
       });
 
     } catch (error) {
@@ -137,8 +316,406 @@ const createRestaurantsRouter = ({ table, cacheTtlMs = DEFAULT_TTL }) => {
     }
   });
 
+  /* ------------------------- GET /restaurants/facets ------------------------- */
+  router.get('/facets', async (req, res) => {
+    try {
+      const listQuery = parseListQuery(req.query, VIEWS.public.fields);
+      if (listQuery.error) {
+        return res.status(400).json({ error: listQuery.error, message: listQuery.message });
+      }
+
+      const { data, version, fetchedAt, freshness } = await fetchRestaurants(false);
+
+      setFeedHeaders(res, freshness);
+
+      if (isNotModified(req, res, version, [])) {
+        return res.status(304).end();
+      }
+
+      const restaurants = selectRestaurants(data, listQuery);
+
+      return res.json({
+        generatedAt: new Date(fetchedAt).toISOString(),
+        count: restaurants.length,
+        facets: buildFacets(restaurants)
+      });
+
+    } catch (error) {
+      console.error('Failed to build restaurant facets:', error);
+      return res.status(500).json({
+        error: 'failed_to_load_facets',
+        message: 'Unable to build restaurant facets.'
+      });
+    }
+  });
+
+  /* ------------------------- GET /restaurants/clusters?bbox=&zoom= ------------------------- */
+  // Map pins for the visible area: nearby restaurants are merged into clusters until zoomed in.
+  router.get('/clusters', async (req, res) => {
+    try {
+      if (req.query.bbox === undefined) {
+        return res.status(400).json({
+          error: 'invalid_bbox',
+          message: 'bbox is required as "minLng,minLat,maxLng,maxLat".'
+        });
+      }
+      const geoResult = parseGeoQuery({ bbox: req.query.bbox });
+      if (geoResult.error) {
+        return res.status(400).json({ error: geoResult.error, message: geoResult.message });
+      }
+
+      const zoom = Number(req.query.zoom);
+      if (req.query.zoom === undefined || !Number.isInteger(zoom) || zoom < 0 || zoom > MAX_MAP_ZOOM) {
+        return res.status(400).json({
+          error: 'invalid_zoom',
+          message: `zoom must be an integer between 0 and ${MAX_MAP_ZOOM}.`
+        });
+      }
+
+      const filterResult = parseFilters(req.query);
+      if (filterResult.error) {
+        return res.status(400).json({ error: filterResult.error, message: filterResult.message });
+      }
+
+      const fieldsResult = parseFields(req.query.fields, VIEWS.public.fields);
+      if (fieldsResult.error) {
+        return res.status(400).json({ error: fieldsResult.error, message: fieldsResult.message });
+      }
+      const fields = fieldsResult.fields || MARKER_FIELDS;
+
+      const { data, version, fetchedAt, freshness } = await fetchRestaurants(false);
+
+      setFeedHeaders(res, freshness);
+
+      if (isNotModified(req, res, version, fields)) {
+        return res.status(304).end();
+      }
+
+      const selected = selectRestaurants(data, { geo: geoResult.geo, filters: filterResult.filters });
+      const { clusters, points } = clusterRestaurants(selected, { zoom });
+      const wall = londonWallTime();
+      const project = (restaurant) => projectFields(withOpenState(restaurant, wall), fields);
+
+      return res.json({
+        generatedAt: new Date(fetchedAt).toISOString(),
+        zoom,
+        total: selected.length,
+        clusters: clusters.map((cluster) => ({ ...cluster, sample: cluster.sample.map(project) })),
+        points: points.map(project)
+      });
+
+    } catch (error) {
+      console.error('Failed to cluster restaurants:', error);
+      return res.status(500).json({
+        error: 'failed_to_cluster_restaurants',
+        message: 'Unable to cluster restaurants.'
+      });
+    }
+  });
+
+  /* ------------------------- GET /restaurants/changes?since= ------------------------- */
+  // Delta sync: restaurants published, edited or withdrawn since a client's last sync. Without
+  // `since` every current restaurant is listed, as a starting point.
+  router.get('/changes', async (req, res) => {
+    try {
+      const sinceResult = parseSince(req.query.since);
+      if (sinceResult.error) {
+        return res.status(400).json({ error: sinceResult.error, message: sinceResult.message });
+      }
+      const { since } = sinceResult;
+
+      const limit = req.query.limit === undefined ? DEFAULT_CHANGES_LIMIT : Number(req.query.limit);
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_CHANGES_LIMIT) {
+        return res.status(400).json({
+          error: 'invalid_limit',
+          message: `limit must be an integer between 1 and ${MAX_CHANGES_LIMIT}.`
+        });
+      }
+
+      // Derived fields depend on the clock or the request, not on what changed.
+      const fieldsResult = parseFields(req.query.fields, PUBLIC_FIELDS);
+      if (fieldsResult.error) {
+        return res.status(400).json({ error: fieldsResult.error, message: fieldsResult.message });
+      }
+
+      const snapshot = await fetchRestaurants(false);
+      const { data, internal, fetchedAt, freshness, tombstones, trackedSince } = snapshot;
+
+      // Removals from before `trackedSince` are forgotten, so the client can only start over.
+      if (since && !since.full && since.at < trackedSince) {
+        return res.status(410).json({
+          error: 'cursor_expired',
+          message: 'since is older than the change history kept. Call /restaurants/changes without since to resync.'
+        });
+      }
+
+      setFeedHeaders(res, freshness);
+
+      // Edits that only touch internal fields still move `updatedAt`, so both versions count.
+      if (isNotModified(req, res, `${snapshot.version}|${snapshot.internalVersion}`, [])) {
+        return res.status(304).end();
+      }
+
+      const stamps = new Map(
+        internal.filter((record) => record.diagnostics.published).map((record) => [record.slug.toLowerCase(), record])
+      );
+      const published = data.map((restaurant) => {
+        const record = stamps.get(restaurant.slug.toLowerCase());
+        return { restaurant, createdAt: record?.createdAt, updatedAt: record?.updatedAt };
+      });
+
+      const { changes, hasMore } = collectChanges({ published, tombstones }, since, { limit });
+
+      // Mid-list, the cursor resumes after the last change sent. Once caught up, it points just
+      // before this load, so edits Airtable hadn't returned yet are picked up next time; clients
+      // may see a change twice and should apply them as upserts and deletes.
+      const last = changes[changes.length - 1];
+      const nextCursor = hasMore
+        ? encodeChangesCursor({ at: last.at, slug: last.slug, full: !since || since.full })
+        : encodeChangesCursor({ at: Math.max(0, fetchedAt - CURSOR_OVERLAP_MS) });
+
+      return res.json({
+        generatedAt: new Date(fetchedAt).toISOString(),
+        since: since && !since.full ? new Date(since.at).toISOString() : null,
+        full: !since || since.full,
+        count: changes.length,
+        hasMore,
+        nextCursor,
+        changes: changes.map(({ type, slug, at, restaurant }) => ({
+          type,
+          slug,
+          at: new Date(at).toISOString(),
+          ...(restaurant && { restaurant: projectFields(restaurant, fieldsResult.fields) })
+        }))
+      });
+
+    } catch (error) {
+      console.error('Failed to list restaurant changes:', error);
+      return res.status(500).json({
+        error: 'failed_to_list_changes',
+        message: 'Unable to list restaurant changes.'
+      });
+    }
+  });
+
+  /* ------------------------- GET /restaurants/search?q= ------------------------- */
+  router.get('/search', async (req, res) => {
+    try {
+      const queryResult = parseSearchQuery(req.query.q);
+      if (queryResult.error) {
+        return res.status(400).json({ error: queryResult.error, message: queryResult.message });
+      }
+      const q = queryResult.value;
+
+      const limit = req.query.limit === undefined ? DEFAULT_SEARCH_LIMIT : Number(req.query.limit);
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_SEARCH_LIMIT) {
+        return res.status(400).json({
+          error: 'invalid_limit',
+          message: `limit must be an integer between 1 and ${MAX_SEARCH_LIMIT}.`
+        });
+      }
+
+      const fieldsResult = parseFields(req.query.fields, VIEWS.public.fields);
+      if (fieldsResult.error) {
+        return res.status(400).json({ error: fieldsResult.error, message: fieldsResult.message });
+      }
+
+      const { data, version, fetchedAt, freshness } = await fetchRestaurants(false);
+
+      setFeedHeaders(res, freshness);
+
+      if (isNotModified(req, res, version, fieldsResult.fields)) {
+        return res.status(304).end();
+      }
+
+      const wall = londonWallTime();
+      const results = searchRestaurants(getSearchIndex(data), q, { limit }).map((result) => ({
+        ...result,
+        restaurant: projectFields(withOpenState(result.restaurant, wall), fieldsResult.fields)
+      }));
+
+      return res.json({
+        generatedAt: new Date(fetchedAt).toISOString(),
+        query: q,
+        count: results.length,
+        results
+      });
+
+    } catch (error) {
+      console.error('Failed to search restaurants:', error);
+      return res.status(500).json({
+        error: 'failed_to_search_restaurants',
+        message: 'Unable to search restaurants.'
+      });
+    }
+  });
+
+  /* ------------------------- GET /restaurants/availability ------------------------- */
+  // "Table for 4 tonight at 7:30": every bookable restaurant matching the filters, checked live.
+  router.get('/availability', searchAvailabilityLimiter, async (req, res) => {
+    const query = parseAvailabilitySearchQuery(req.query);
+    if (query.error) {
+      return res.status(400).json({ error: query.error, message: query.message });
+    }
+
+    const geoResult = parseGeoQuery(req.query);
+    if (geoResult.error) {
+      return res.status(400).json({ error: geoResult.error, message: geoResult.message });
+    }
+
+    const filterResult = parseFilters(req.query);
+    if (filterResult.error) {
+      return res.status(400).json({ error: filterResult.error, message: filterResult.message });
+    }
+
+    const fieldsResult = parseFields(req.query.fields, VIEWS.public.fields);
+    if (fieldsResult.error) {
+      return res.status(400).json({ error: fieldsResult.error, message: fieldsResult.message });
+    }
+
+    let snapshot;
+    try {
+      snapshot = await fetchRestaurants(false);
+    } catch (error) {
+      console.error('Failed to load restaurants from Airtable:', error);
+      return res.status(500).json({
+        error: 'failed_to_load_restaurants',
+        message: 'Unable to load restaurants from Airtable.'
+      });
+    }
+
+    const internalBySlug = new Map(snapshot.internal.map((venue) => [venue.slug.toLowerCase(), venue]));
+    const bookable = selectRestaurants(snapshot.data, { geo: geoResult.geo, filters: filterResult.filters })
+      .map((restaurant) => {
+        const venue = internalBySlug.get(restaurant.slug.toLowerCase());
+        const provider = venue?.apiId ? getBookingProvider(venue.apiSource) : null;
+        return provider ? { restaurant, venue, provider } : null;
+      })
+      .filter(Boolean);
+    const candidates = bookable.slice(0, searchBudget.maxVenues);
+
+    const search = query.search;
+    const cacheKey = hashOf(JSON.stringify([
+      snapshot.version,
+      search,
+      candidates.map(({ restaurant }) => restaurant.slug)
+    ]));
+    // Partial results are served but not cached, so the next search retries the slow venues.
+    let result;
+    try {
+      result = await searchCache.load(cacheKey, () => runAvailabilitySearch(candidates, search), {
+        cacheIf: (outcome) => !outcome.unavailable.length
+      });
+    } catch (error) {
+      console.error('Failed to search availability:', error);
+      return res.status(500).json({
+        error: 'failed_to_search_availability',
+        message: 'Unable to search live availability.'
+      });
+    }
+    const { value, fetchedAt, fromCache } = result;
+
+    const partial = value.unavailable.length > 0;
+    res.set('Cache-Control', partial ? 'no-store' : `public, max-age=${Math.floor(searchBudget.ttlMs / 1000)}`);
+
+    return res.json({
+      generatedAt: new Date(fetchedAt).toISOString(),
+      fromCache,
+      query: search,
+      searched: value.searched,
+      notSearched: bookable.length - candidates.length,
+      partial,
+      unavailable: value.unavailable,
+      count: value.venues.length,
+      venues: value.venues.map(({ restaurant, provider, slots }) => ({
+        restaurant: projectFields(restaurant, fieldsResult.fields),
+        provider,
+        slots
+      }))
+    });
+  });
+
+  let lastFullRefreshAt = 0;
+  let pendingFullRefresh = null;
+  const scheduleFullRefresh = () => {
+    if (!pendingFullRefresh) {
+      const refreshAt = Math.max(Date.now(), lastFullRefreshAt + FULL_REFRESH_INTERVAL_MS);
+      const timer = setTimeout(() => {
+        pendingFullRefresh = null;
+        lastFullRefreshAt = Date.now();
+        fetchRestaurants(true).catch((error) => console.error('Scheduled restaurants refresh failed:', error));
+      }, refreshAt - Date.now());
+      timer.unref?.();
+      pendingFullRefresh = { refreshAt };
+    }
+    return pendingFullRefresh.refreshAt;
+  };
+
+  /* ------------------------- POST /restaurants/_invalidate ------------------------- */
+  // Called by Airtable automations and the enrichment worker after a write. The raw body is
+  // signed with FEED_WEBHOOK_SECRET, so it is read before any JSON parsing.
+  router.post('/_invalidate', express.raw({ type: () => true, limit: '64kb' }), async (req, res) => {
+    if (!webhookSecret) {
+      return res.status(403).json({
+        error: 'invalidation_disabled',
+        message: 'Cache invalidation is disabled. Set FEED_WEBHOOK_SECRET to enable it.'
+      });
+    }
+
+    const raw = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    if (!hasValidSignature(req, webhookSecret, raw)) {
+      return res.status(401).json({
+        error: 'invalid_signature',
+        message:
+          'X-Signature must be sha256=<hex HMAC-SHA256 of "<X-Signature-Timestamp>.<body>">, ' +
+          'with X-Signature-Timestamp within 5 minutes of now.'
+      });
+    }
+
+    const body = parseInvalidateBody(raw);
+    if (body.error) {
+      return res.status(400).json({ error: body.error, message: body.message });
+    }
+
+    try {
+      res.set('Cache-Control', 'no-store');
+
+      if (!body.slugs) {
+        if (pendingFullRefresh || Date.now() - lastFullRefreshAt < FULL_REFRESH_INTERVAL_MS) {
+          const refreshAt = scheduleFullRefresh();
+          return res.status(202).json({ scope: 'all', scheduled: true, refreshAt: new Date(refreshAt).toISOString() });
+        }
+
+        lastFullRefreshAt = Date.now();
+        const { data, fetchedAt, freshness } = await fetchRestaurants(true);
+        // A failed forced refresh falls back to stale data instead of throwing.
+        if (freshness !== 'live') {
+          return res.status(502).json({
+            error: 'failed_to_refresh_restaurants',
+            message: 'Unable to refresh restaurants from Airtable; still serving the previous data.'
+          });
+        }
+        return res.json({
+          scope: 'all',
+          generatedAt: new Date(fetchedAt).toISOString(),
+          count: data.length
+        });
+      }
+
+      const { updated, removed } = await refreshSlugs(body.slugs);
+      return res.json({ scope: 'slugs', updated, removed });
+
+    } catch (error) {
+      console.error('Failed to invalidate restaurants cache:', error);
+      return res.status(502).json({
+        error: 'failed_to_refresh_restaurants',
+        message: 'Unable to refresh restaurants from Airtable.'
+      });
+    }
+  });
+
   /* ------------------------- 🆕 GET /restaurants/:slug ------------------------- */
-  router.get('/:slug', async (req, res) => {
+  router.get('/:slug', validateQuery('/restaurants/{slug}'), async (req, res) => {
     try {
       const slugParam = req.params.slug?.toLowerCase();
 
@@ -149,8 +726,19 @@ const createRestaurantsRouter = ({ table, cacheTtlMs = DEFAULT_TTL }) => {
         });
       }
 
-      const { data, fetchedAt, cached } = await fetchRestaurants(false);
-      const match = data.find((r) => r.slug?.toLowerCase() === slugParam);
+      const view = resolveView(req);
+      if (view.error) {
+        return res.status(view.status).json({ error: view.error, message: view.message });
+      }
+
+      const fieldsResult = parseFields(req.query.fields, view.fields);
+      if (fieldsResult.error) {
+        return res.status(400).json({ error: fieldsResult.error, message: fieldsResult.message });
+      }
+
+      const result = await fetchRestaurants(false);
+      const { data, version } = view.select(result);
+      const match = findBySlug(data, slugParam);
 
       if (!match) {
         return res.status(404).json({
@@ -159,10 +747,13 @@ const createRestaurantsRouter = ({ table, cacheTtlMs = DEFAULT_TTL }) => {
         });
       }
 
-      res.set('Cache-Control', `public, max-age=${Math.floor(ttl / 1000)}`);
-      res.set('X-Data-Fresh', cached ? 'cache' : 'live');
+      setFeedHeaders(res, result.freshness, view.view);
 
-      return res.json(match);
+      if (isNotModified(req, res, version, fieldsResult.fields)) {
+        return res.status(304).end();
+      }
+
+      return res.json(projectFields(withOpenState(match, londonWallTime()), fieldsResult.fields));
 
     } catch (error) {
       console.error('Failed to load restaurant by slug:', error);
@@ -173,6 +764,166 @@ const createRestaurantsRouter = ({ table, cacheTtlMs = DEFAULT_TTL }) => {
     }
   });
 
+  /* ------------------------- GET /restaurants/:slug/jsonld ------------------------- */
+  router.get('/:slug/jsonld', async (req, res) => {
+    try {
+      const slugParam = req.params.slug?.toLowerCase();
+      const { data, version, freshness } = await fetchRestaurants(false);
+      const match = findBySlug(data, slugParam);
+
+      if (!match) {
+        return res.status(404).json({
+          error: 'restaurant_not_found',
+          message: `No restaurant found for slug: ${slugParam}`
+        });
+      }
+
+      setFeedHeaders(res, freshness);
+
+      if (isNotModified(req, res, version, [])) {
+        return res.status(304).end();
+      }
+
+      res.type('application/ld+json');
+      return res.send(JSON.stringify(toRestaurantJsonLd(match, { siteBaseUrl })));
+
+    } catch (error) {
+      console.error('Failed to build restaurant JSON-LD:', error);
+      return res.status(500).json({
+        error: 'failed_to_load_restaurant',
+        message: 'Unable to build restaurant JSON-LD.'
+      });
+    }
+  });
+
+  /* ------------------------- GET /restaurants/:slug/related ------------------------- */
+  // "You might also like": nearby restaurants with a similar cuisine, price and a good rating.
+  router.get('/:slug/related', async (req, res) => {
+    try {
+      const slugParam = req.params.slug?.toLowerCase();
+
+      const limit = req.query.limit === undefined ? DEFAULT_RELATED_LIMIT : Number(req.query.limit);
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_RELATED_LIMIT) {
+        return res.status(400).json({
+          error: 'invalid_limit',
+          message: `limit must be an integer between 1 and ${MAX_RELATED_LIMIT}.`
+        });
+      }
+
+      const fieldsResult = parseFields(req.query.fields, VIEWS.public.fields);
+      if (fieldsResult.error) {
+        return res.status(400).json({ error: fieldsResult.error, message: fieldsResult.message });
+      }
+
+      const { data, version, fetchedAt, freshness } = await fetchRestaurants(false);
+      const match = findBySlug(data, slugParam);
+
+      if (!match) {
+        return res.status(404).json({
+          error: 'restaurant_not_found',
+          message: `No restaurant found for slug: ${slugParam}`
+        });
+      }
+
+      setFeedHeaders(res, freshness);
+
+      if (isNotModified(req, res, version, fieldsResult.fields)) {
+        return res.status(304).end();
+      }
+
+      const wall = londonWallTime();
+      const results = rankRelated(match, data, { limit }).map((result) => ({
+        ...result,
+        restaurant: projectFields(withOpenState(result.restaurant, wall), fieldsResult.fields)
+      }));
+
+      return res.json({
+        generatedAt: new Date(fetchedAt).toISOString(),
+        slug: match.slug,
+        count: results.length,
+        results
+      });
+
+    } catch (error) {
+      console.error('Failed to load related restaurants:', error);
+      return res.status(500).json({
+        error: 'failed_to_load_related',
+        message: 'Unable to load related restaurants.'
+      });
+    }
+  });
+
+  /* ------------------------- GET /restaurants/:slug/availability ------------------------- */
+  router.get('/:slug/availability', venueAvailabilityLimiter, async (req, res) => {
+    const slugParam = req.params.slug?.toLowerCase();
+
+    const query = parseAvailabilityQuery(req.query);
+    if (query.error) {
+      return res.status(400).json({ error: query.error, message: query.message });
+    }
+    const { partySize, from, timeSlot, windows } = query.availability;
+
+    // Booking ids only exist on the internal projection; the public one decides visibility.
+    let venue;
+    try {
+      const { data, internal } = await fetchRestaurants(false);
+      venue = findBySlug(data, slugParam) && findBySlug(internal, slugParam);
+    } catch (error) {
+      console.error('Failed to load restaurants from Airtable:', error);
+      return res.status(500).json({
+        error: 'failed_to_load_restaurants',
+        message: 'Unable to load restaurants from Airtable.'
+      });
+    }
+
+    if (!venue) {
+      return res.status(404).json({
+        error: 'restaurant_not_found',
+        message: `No restaurant found for slug: ${slugParam}`
+      });
+    }
+
+    const provider = getBookingProvider(venue.apiSource);
+    if (!provider || !venue.apiId) {
+      return res.status(404).json({
+        error: 'availability_not_supported',
+        message: `Live availability is not available for ${slugParam}.`
+      });
+    }
+
+    // Providers that make one request per day get a shorter range; the response reports the days used.
+    const days = Math.min(query.availability.days, provider.MAX_DAYS ?? query.availability.days);
+
+    try {
+      const cacheKey = availabilityCacheKey(venue, { partySize, from, days, timeSlot });
+      const { value, fetchedAt, fromCache } = await availabilityCache.load(cacheKey, () =>
+        provider.fetchAvailability(venue.apiId, { partySize, from, days, timeSlot, windows: [] })
+      );
+      const slots = value.filter((slot) => isWithinWindows(slot.time, windows));
+
+      res.set('Cache-Control', `public, max-age=${Math.floor(availabilityTtlMs / 1000)}`);
+
+      return res.json({
+        slug: venue.slug,
+        provider: provider.source,
+        partySize,
+        from,
+        days,
+        fetchedAt: new Date(fetchedAt).toISOString(),
+        fromCache,
+        count: slots.length,
+        slots
+      });
+
+    } catch (error) {
+      console.error(`Failed to fetch availability for ${slugParam}:`, error);
+      return res.status(502).json({
+        error: 'failed_to_fetch_availability',
+        message: `Unable to fetch availability from ${provider.source}.`
+      });
+    }
+  });
+
   return router;
 };
 
@@ -0,0 +1,57 @@
+import { writeFileSync } from 'node:fs';
+import dotenv from 'dotenv';
+import Airtable from 'airtable';
+
+import { recordsToCsv } from '../lib/airtableCsv.js';
+
+const isRailway = Boolean(
+  process.env.RAILWAY_STATIC_URL ||
+  process.env.RAILWAY_PROJECT_ID ||
+  process.env.RAILWAY_ENVIRONMENT
+);
+
+if (!isRailway) {
+  const { error } = dotenv.config();
+  if (error && error.code !== 'ENOENT') {
+    console.error('Failed to load local .env file:', error);
+  }
+}
+
+const {
+  AIRTABLE_API_KEY,
+  AIRTABLE_BASE_ID,
+  AIRTABLE_TABLE_NAME = 'Restaurants'
+} = process.env;
+
+if (!AIRTABLE_API_KEY || !AIRTABLE_BASE_ID) {
+  console.error('Missing Airtable configuration. Set AIRTABLE_API_KEY and AIRTABLE_BASE_ID.');
+  process.exit(1);
+}
+
+const args = process.argv.slice(2);
+const outArg = args.find((arg) => arg.startsWith('--out='));
+const outPath = outArg ? outArg.split('=').slice(1).join('=') : null;
+
+const base = new Airtable({ apiKey: AIRTABLE_API_KEY }).base(AIRTABLE_BASE_ID);
+const table = base(AIRTABLE_TABLE_NAME);
+
+async function run() {
+  const records = await table
+    .select({ sort: [{ field: 'Name', direction: 'asc' }] })
+    .all();
+
+  const csv = recordsToCsv(records);
+
+  if (!outPath) {
+    process.stdout.write(csv);
+    return;
+  }
+
+  writeFileSync(outPath, csv, 'utf8');
+  console.log(`Exported ${records.length} record(s) to ${outPath} ✅`);
+}
+
+run().catch((error) => {
+  console.error('Fatal:', error?.response?.data || error);
+  process.exit(1);
+});
@@ -0,0 +1,113 @@
+import { readFileSync } from 'node:fs';
+import dotenv from 'dotenv';
+import Airtable from 'airtable';
+import Bottleneck from 'bottleneck';
+
+import { planImport } from '../lib/airtableCsv.js';
+
+const isRailway = Boolean(
+  process.env.RAILWAY_STATIC_URL ||
+  process.env.RAILWAY_PROJECT_ID ||
+  process.env.RAILWAY_ENVIRONMENT
+);
+
+if (!isRailway) {
+  const { error } = dotenv.config();
+  if (error && error.code !== 'ENOENT') {
+    console.error('Failed to load local .env file:', error);
+  }
+}
+
+const {
+  AIRTABLE_API_KEY,
+  AIRTABLE_BASE_ID,
+  AIRTABLE_TABLE_NAME = 'Restaurants',
+  AIRTABLE_ENRICHMENT_STATUS_OPTIONS,
+  SLEEP_MS_BETWEEN_REQUESTS = '250'
+} = process.env;
+
+if (!AIRTABLE_API_KEY || !AIRTABLE_BASE_ID) {
+  console.error('Missing Airtable configuration. Set AIRTABLE_API_KEY and AIRTABLE_BASE_ID.');
+  process.exit(1);
+}
+
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const csvPath = args.find((arg) => !arg.startsWith('--'));
+
+if (!csvPath) {
+  console.error('Usage: node scripts/import_csv.js <file.csv> [--dry-run]');
+  process.exit(1);
+}
+
+// Airtable accepts at most 10 records per create request.
+const AIRTABLE_BATCH_SIZE = 10;
+
+const limiter = new Bottleneck({
+  maxConcurrent: 1,
+  minTime: Number(SLEEP_MS_BETWEEN_REQUESTS) || 250
+});
+
+const base = new Airtable({ apiKey: AIRTABLE_API_KEY }).base(AIRTABLE_BASE_ID);
+const table = base(AIRTABLE_TABLE_NAME);
+
+// Match the casing of the configured "pending" select option.
+const pendingStatus = () => {
+  const options = (AIRTABLE_ENRICHMENT_STATUS_OPTIONS || '')
+    .split(',')
+    .map((option) => option.trim())
+    .filter(Boolean);
+  return options.find((option) => option.toLowerCase() === 'pending') || 'pending';
+};
+
+const printReport = (plan) => {
+  for (const entry of plan.invalid) {
+    console.log(`❌ line ${entry.line}${entry.name ? ` (${entry.name})` : ''}: ${entry.errors.join('; ')}`);
+  }
+  for (const entry of plan.duplicates) {
+    console.log(`⏭️  line ${entry.line} (${entry.slug}): ${entry.reason}`);
+  }
+  for (const entry of plan.toCreate) {
+    console.log(`${dryRun ? '🔍 [dry-run] would create' : '➕ creating'} line ${entry.line}: ${entry.fields['Name']} (${entry.slug})`);
+  }
+
+  console.log('');
+  console.log(`To create: ${plan.toCreate.length}`);
+  console.log(`Duplicates skipped: ${plan.duplicates.length}`);
+  console.log(`Invalid rows: ${plan.invalid.length}`);
+};
+
+async function run() {
+  const text = readFileSync(csvPath, 'utf8');
+
+  console.log('Loading existing Airtable records…');
+  const existing = await table.select({ fields: ['Slug', 'Place ID'] }).all();
+
+  const plan = planImport(text, { existing, status: pendingStatus() });
+  if (plan.error) {
+    console.error(`Cannot import ${csvPath}: ${plan.message}`);
+    process.exit(1);
+  }
+
+  printReport(plan);
+
+  if (dryRun || !plan.toCreate.length) {
+    console.log(dryRun ? 'Dry run – nothing was written.' : 'Nothing to import. ✅');
+    return;
+  }
+
+  let created = 0;
+  for (let i = 0; i < plan.toCreate.length; i += AIRTABLE_BATCH_SIZE) {
+    const batch = plan.toCreate.slice(i, i + AIRTABLE_BATCH_SIZE);
+    await limiter.schedule(() => table.create(batch.map(({ fields }) => ({ fields }))));
+    created += batch.length;
+    console.log(`Created ${created}/${plan.toCreate.length}…`);
+  }
+
+  console.log(`Done. ✅ Created ${created} pending record(s).`);
+}
+
+run().catch((error) => {
+  console.error('Fatal:', error?.response?.data || error);
+  process.exit(1);
+});
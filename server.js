@@ -3,8 +3,15 @@ import dotenv from 'dotenv';
 import Airtable from 'airtable';
 import express from 'express';
 import cors from 'cors';
+import { createClient as createRedisClient } from 'redis';
 
+import createExportsRouter from './routes/exports.js';
+import createInstagramRouter from './routes/instagram.js';
+import createPhotosRouter from './routes/photos.js';
 import createRestaurantsRouter from './routes/restaurants.js';
+import { createFileStore, createRedisStore } from './lib/cacheStores.js';
+import { buildOpenApiDocument } from './lib/openapi.js';
+import { createRestaurantsSource } from './lib/restaurants.js';
 
 // ---------- Environment detection ----------
 const isRailway = Boolean(
@@ -28,6 +35,22 @@ const {
   AIRTABLE_BASE_ID,
   AIRTABLE_TABLE_NAME = 'Restaurants',
   RESTAURANTS_CACHE_TTL_MS = '300000',
+  RESTAURANTS_SNAPSHOT_PATH = '.cache/restaurants-snapshot.json',
+  RESTAURANTS_SNAPSHOT_REDIS_URL = '',
+  SITE_BASE_URL,
+  PUBLIC_BASE_URL = '',
+  GOOGLE_PLACES_API_KEY = '',
+  PHOTO_CACHE_DIR = '.cache/photos',
+  FEED_INTERNAL_TOKEN = '',
+  FEED_WEBHOOK_SECRET = '',
+  AVAILABILITY_CACHE_TTL_MS = '120000',
+  AVAILABILITY_SEARCH_CONCURRENCY = '4',
+  AVAILABILITY_SEARCH_TIMEOUT_MS = '8000',
+  AVAILABILITY_SEARCH_MAX_VENUES = '40',
+  AVAILABILITY_SEARCH_CACHE_TTL_MS = '180000',
+  AVAILABILITY_RATE_LIMIT_PER_MINUTE = '30',
+  INSTAGRAM_RATE_LIMIT_PER_MINUTE = '30',
+  TRUST_PROXY,
   PORT = process.env.PORT || 3000,
   HOST = process.env.HOST || '0.0.0.0'
 } = process.env;
@@ -37,29 +60,138 @@ if (!AIRTABLE_API_KEY || !AIRTABLE_BASE_ID) {
   process.exit(1);
 }
 
-const cacheTtlMs = Number.parseInt(RESTAURANTS_CACHE_TTL_MS, 10);
-const ttlMs = Number.isFinite(cacheTtlMs) && cacheTtlMs > 0 ? cacheTtlMs : 300000;
+const positiveInt = (value, fallback) => {
+  const parsed = Number.parseInt(value, 10);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+const ttlMs = positiveInt(RESTAURANTS_CACHE_TTL_MS, 300000);
+const availabilityTtlMs = positiveInt(AVAILABILITY_CACHE_TTL_MS, 120000);
+const availabilitySearch = {
+  concurrency: positiveInt(AVAILABILITY_SEARCH_CONCURRENCY, 4),
+  timeoutMs: positiveInt(AVAILABILITY_SEARCH_TIMEOUT_MS, 8000),
+  maxVenues: positiveInt(AVAILABILITY_SEARCH_MAX_VENUES, 40),
+  ttlMs: positiveInt(AVAILABILITY_SEARCH_CACHE_TTL_MS, 180000)
+};
+const availabilityRateLimit = {
+  windowMs: 60000,
+  max: positiveInt(AVAILABILITY_RATE_LIMIT_PER_MINUTE, 30)
+};
+const instagramRateLimit = {
+  windowMs: 60000,
+  max: positiveInt(INSTAGRAM_RATE_LIMIT_PER_MINUTE, 30)
+};
+
+// Rate limiting keys on req.ip, which is the proxy's address unless Express trusts it.
+// Railway sits behind exactly one proxy hop; TRUST_PROXY accepts a hop count, true/false
+// or any other Express "trust proxy" value (e.g. "loopback").
+const parseTrustProxy = (value) => {
+  if (value === undefined || value.trim() === '') return isRailway ? 1 : false;
+  const trimmed = value.trim();
+  if (/^\d+$/.test(trimmed)) return Number(trimmed);
+  if (['true', 'false'].includes(trimmed.toLowerCase())) return trimmed.toLowerCase() === 'true';
+  return trimmed;
+};
 
 // ---------- Airtable setup ----------
 const base = new Airtable({ apiKey: AIRTABLE_API_KEY }).base(AIRTABLE_BASE_ID);
 const table = base(AIRTABLE_TABLE_NAME);
 
+// ---------- Snapshot store ----------
+// RESTAURANTS_SNAPSHOT_REDIS_URL shares one snapshot between instances. Without the offline queue,
+// reads fail fast while Redis is down and the feed goes straight to Airtable.
+const REDIS_CONNECT_WAIT_MS = 5000;
+const connectSnapshotRedis = async (url) => {
+  const client = createRedisClient({ url, disableOfflineQueue: true });
+  let reported = false;
+  client.on('error', (error) => {
+    if (!reported) console.warn('[cache] Redis snapshot store unavailable:', error.message);
+    reported = true;
+  });
+  client.on('ready', () => {
+    reported = false;
+  });
+  // Boot waits briefly for the first connection so a cold start can still serve the snapshot;
+  // the client keeps reconnecting in the background after that.
+  await Promise.race([
+    client.connect().catch(() => {}),
+    new Promise((resolve) => setTimeout(resolve, REDIS_CONNECT_WAIT_MS).unref())
+  ]);
+  return createRedisStore({ client });
+};
+
+// Otherwise the snapshot is a local file; set RESTAURANTS_SNAPSHOT_PATH=off to keep the cache purely in memory.
+const snapshotStore = RESTAURANTS_SNAPSHOT_REDIS_URL.trim()
+  ? await connectSnapshotRedis(RESTAURANTS_SNAPSHOT_REDIS_URL.trim())
+  : ['', 'off', 'false'].includes(RESTAURANTS_SNAPSHOT_PATH.trim().toLowerCase())
+    ? null
+    : createFileStore({ filePath: RESTAURANTS_SNAPSHOT_PATH });
+// Photo URLs in the feed point at this server's /photos proxy; PUBLIC_BASE_URL makes them absolute.
+const source = createRestaurantsSource({
+  table,
+  cacheTtlMs: ttlMs,
+  store: snapshotStore,
+  publicBaseUrl: PUBLIC_BASE_URL.trim()
+});
+
+const ENDPOINTS = [
+  '/restaurants',
+  '/restaurants/facets',
+  '/restaurants/clusters',
+  '/restaurants/changes',
+  '/restaurants/search',
+  '/restaurants/availability',
+  'POST /restaurants/_invalidate',
+  '/restaurants.geojson',
+  '/restaurants.kml',
+  '/restaurants.csv',
+  '/restaurants/:slug/jsonld',
+  '/restaurants/:slug/related',
+  '/restaurants/:slug/instagram',
+  '/restaurants/:slug/availability',
+  '/sitemap.xml',
+  '/photos/:slug',
+  '/photos/:slug/:photoId',
+  '/openapi.json'
+];
+
 // ---------- Express setup ----------
 const app = express();
 app.disable('x-powered-by');
+app.set('trust proxy', parseTrustProxy(TRUST_PROXY));
 app.use(cors({ origin: '*', maxAge: Math.floor(ttlMs / 1000) }));
 
 // ---------- Root route ----------
 app.get('/', (_req, res) => {
   res.json({
     status: 'ok',
-    endpoints: ['/restaurants'],
+    endpoints: ENDPOINTS,
     cacheTtlMs: ttlMs
   });
 });
 
+// ---------- OpenAPI document ----------
+const openApiDocument = buildOpenApiDocument({ serverUrl: PUBLIC_BASE_URL.trim() });
+app.get('/openapi.json', (_req, res) => {
+  res.set('Cache-Control', 'public, max-age=3600');
+  res.json(openApiDocument);
+});
+
 // ---------- Routes ----------
-app.use('/restaurants', createRestaurantsRouter({ table, cacheTtlMs: ttlMs }));
+const routerOptions = { source, siteBaseUrl: SITE_BASE_URL, internalToken: FEED_INTERNAL_TOKEN.trim() };
+app.use('/restaurants/:slug/instagram', createInstagramRouter({ source, rateLimit: instagramRateLimit }));
+app.use(
+  '/restaurants',
+  createRestaurantsRouter({
+    ...routerOptions,
+    webhookSecret: FEED_WEBHOOK_SECRET.trim(),
+    availabilityTtlMs,
+    availabilitySearch,
+    availabilityRateLimit
+  })
+);
+app.use(createExportsRouter(routerOptions));
+app.use('/photos', createPhotosRouter({ source, googleApiKey: GOOGLE_PLACES_API_KEY, cacheDir: PHOTO_CACHE_DIR }));
 
 // ---------- 404 handler ----------
 app.use((req, res) => {
@@ -69,7 +201,8 @@ app.use((req, res) => {
 // ---------- Server startup ----------
 const httpServer = app.listen(PORT, HOST, () => {
   console.log(`✅ Server running on http://${HOST}:${PORT}`);
-  console.log(`Available endpoints: /restaurants`);
+  console.log(`Available endpoints: ${ENDPOINTS.join(', ')}`);
+  source.warm();
 });
 
 // ---------- Graceful shutdown ----------
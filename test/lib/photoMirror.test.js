@@ -0,0 +1,66 @@
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { afterEach, describe, it } from 'node:test';
+
+import { createPhotoMirror } from '../../lib/photoMirror.js';
+import { createS3Client } from '../../lib/s3.js';
+import { startStubServer } from '../support/stubServer.js';
+
+const photo = { body: Buffer.from('jpeg bytes'), contentType: 'image/jpeg' };
+const hash = createHash('sha256').update(photo.body).digest('hex');
+
+const mirrorFor = (baseUrl) =>
+  createPhotoMirror({
+    client: createS3Client({
+      endpoint: baseUrl,
+      bucket: 'feed-photos',
+      accessKeyId: 'AKIDEXAMPLE',
+      secretAccessKey: 'secret',
+      publicBaseUrl: 'https://cdn.example.com'
+    }),
+    keyPrefix: 'restaurants/'
+  });
+
+describe('photo mirror', () => {
+  let stub;
+  afterEach(() => stub?.close());
+
+  it('uploads under the content-hash key and returns the public URL for Airtable', async () => {
+    stub = await startStubServer((_req, res) => res.writeHead(200).end());
+    const mirror = mirrorFor(stub.baseUrl);
+
+    const fields = await mirror.fieldsFor('padella', {}, photo, true);
+
+    assert.deepEqual(fields, {
+      'Mirrored Photo URL': `https://cdn.example.com/restaurants/padella/${hash.slice(0, 16)}`,
+      'Mirrored Photo Hash': hash
+    });
+    assert.equal(stub.requests.length, 1);
+    assert.equal(stub.requests[0].url, `/feed-photos/restaurants/padella/${hash.slice(0, 16)}`);
+    assert.equal(stub.requests[0].headers['x-amz-meta-sha256'], hash);
+    assert.ok(mirror.hasCurrent('padella', fields));
+  });
+
+  it('skips the upload when the stored Mirrored Photo Hash is unchanged', async () => {
+    stub = await startStubServer((_req, res) => res.writeHead(200).end());
+    const mirror = mirrorFor(stub.baseUrl);
+    const stored = {
+      'Mirrored Photo URL': `https://cdn.example.com/restaurants/padella/${hash.slice(0, 16)}`,
+      'Mirrored Photo Hash': hash
+    };
+
+    assert.deepEqual(await mirror.fieldsFor('padella', stored, photo, true), {});
+    assert.equal(stub.requests.length, 0);
+  });
+
+  it('clears the old copy when a new photo fails to upload', async () => {
+    stub = await startStubServer((_req, res) => res.writeHead(500).end());
+    const mirror = mirrorFor(stub.baseUrl);
+
+    assert.deepEqual(await mirror.fieldsFor('padella', {}, photo, true), {
+      'Mirrored Photo URL': '',
+      'Mirrored Photo Hash': ''
+    });
+    assert.deepEqual(await mirror.fieldsFor('padella', {}, photo, false), {});
+  });
+});
@@ -0,0 +1,112 @@
+import assert from 'node:assert/strict';
+import { createHash, createHmac } from 'node:crypto';
+import { afterEach, describe, it } from 'node:test';
+
+import { createS3Client } from '../../lib/s3.js';
+import { startStubServer } from '../support/stubServer.js';
+
+const credentials = { accessKeyId: 'AKIDEXAMPLE', secretAccessKey: 'wJalrXUtnFEMI/K7MDENG+bPxRfiCYEXAMPLEKEY' };
+
+const sha256Hex = (value) => createHash('sha256').update(value).digest('hex');
+const hmac = (key, value) => createHmac('sha256', key).update(value).digest();
+
+// Recomputes the SigV4 signature from what arrived on the wire, as the storage server would.
+const expectedSignature = (request, { region, secretAccessKey }) => {
+  const [, scope, signedHeaders] = request.headers.authorization.match(
+    /^AWS4-HMAC-SHA256 Credential=[^/]+\/([^,]+), SignedHeaders=([^,]+), Signature=[0-9a-f]{64}$/
+  );
+  const canonicalHeaders = signedHeaders
+    .split(';')
+    .map((name) => `${name}:${request.headers[name].trim()}\n`)
+    .join('');
+  const canonicalRequest = [
+    request.method,
+    request.url,
+    '',
+    canonicalHeaders,
+    signedHeaders,
+    request.headers['x-amz-content-sha256']
+  ].join('\n');
+  const stringToSign = ['AWS4-HMAC-SHA256', request.headers['x-amz-date'], scope, sha256Hex(canonicalRequest)].join(
+    '\n'
+  );
+  const signingKey = ['s3', 'aws4_request'].reduce(
+    (key, part) => hmac(key, part),
+    hmac(hmac(`AWS4${secretAccessKey}`, scope.slice(0, 8)), region)
+  );
+  return createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+};
+
+describe('S3 client', () => {
+  let stub;
+  afterEach(() => stub?.close());
+
+  it('sends a SigV4-signed PUT to the path-style key', async () => {
+    stub = await startStubServer((_req, res) => res.writeHead(200).end());
+    const client = createS3Client({
+      endpoint: stub.baseUrl,
+      region: 'eu-west-2',
+      bucket: 'feed-photos',
+      ...credentials
+    });
+    const body = Buffer.from('jpeg bytes');
+
+    await client.putObject("restaurants/padella's/0123456789abcdef", body, {
+      contentType: 'image/jpeg',
+      cacheControl: 'public, max-age=31536000, immutable',
+      metadata: { SHA256: 'abc' }
+    });
+
+    const [request] = stub.requests;
+    assert.equal(request.method, 'PUT');
+    assert.equal(request.url, '/feed-photos/restaurants/padella%27s/0123456789abcdef');
+    assert.equal(request.body, 'jpeg bytes');
+    assert.equal(request.headers['content-type'], 'image/jpeg');
+    assert.equal(request.headers['cache-control'], 'public, max-age=31536000, immutable');
+    assert.equal(request.headers['x-amz-meta-sha256'], 'abc');
+    assert.equal(request.headers['x-amz-content-sha256'], sha256Hex(body));
+    assert.match(request.headers['x-amz-date'], /^\d{8}T\d{6}Z$/);
+
+    const day = request.headers['x-amz-date'].slice(0, 8);
+    assert.ok(
+      request.headers.authorization.startsWith(
+        `AWS4-HMAC-SHA256 Credential=AKIDEXAMPLE/${day}/eu-west-2/s3/aws4_request, ` +
+          'SignedHeaders=cache-control;content-type;host;x-amz-content-sha256;x-amz-date;x-amz-meta-sha256, '
+      )
+    );
+    assert.ok(
+      request.headers.authorization.endsWith(
+        `Signature=${expectedSignature(request, { region: 'eu-west-2', ...credentials })}`
+      )
+    );
+  });
+
+  it('reports the status and error code of a refused upload', async () => {
+    stub = await startStubServer((_req, res) =>
+      res.writeHead(403).end('<Error><Code>SignatureDoesNotMatch</Code></Error>')
+    );
+    const client = createS3Client({ endpoint: stub.baseUrl, bucket: 'feed-photos', ...credentials });
+
+    await assert.rejects(
+      client.putObject('restaurants/padella/0123456789abcdef', Buffer.from('jpeg bytes')),
+      /HTTP 403 \(SignatureDoesNotMatch\)/
+    );
+  });
+
+  it('builds public URLs from publicBaseUrl or the bucket', () => {
+    const options = { endpoint: 'https://storage.example.com', bucket: 'feed-photos', ...credentials };
+
+    assert.equal(
+      createS3Client(options).urlOf('restaurants/padella/0123'),
+      'https://storage.example.com/feed-photos/restaurants/padella/0123'
+    );
+    assert.equal(
+      createS3Client({ ...options, forcePathStyle: false }).urlOf('restaurants/padella/0123'),
+      'https://feed-photos.storage.example.com/restaurants/padella/0123'
+    );
+    assert.equal(
+      createS3Client({ ...options, publicBaseUrl: 'https://cdn.example.com/' }).urlOf('restaurants/padella/0123'),
+      'https://cdn.example.com/restaurants/padella/0123'
+    );
+  });
+});
@@ -0,0 +1,64 @@
+import http from 'node:http';
+import { readFileSync } from 'node:fs';
+
+/**
+ * Local HTTP server standing in for a booking provider. `handler(req, res, body)` answers each
+ * request; every request is recorded as `{ method, url, headers, body }` for assertions.
+ * Resolves to `{ baseUrl, requests, close }`.
+ */
+export const startStubServer = async (handler) => {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks).toString('utf8');
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      handler(req, res, body);
+    });
+  });
+
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+
+  return {
+    baseUrl: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    // Drops requests a handler left hanging (the timeout cases) so close() can finish.
+    close: () =>
+      new Promise((resolve) => {
+        server.closeAllConnections();
+        server.close(resolve);
+      })
+  };
+};
+
+export const sendJson = (res, payload, status = 200) => {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(typeof payload === 'string' ? payload : JSON.stringify(payload));
+};
+
+// Recorded provider responses live in test/fixtures/booking/<name>.json.
+export const loadFixture = (name) =>
+  JSON.parse(readFileSync(new URL(`../fixtures/booking/${name}.json`, import.meta.url), 'utf8'));
+
+/**
+ * The error paths every adapter shares: non-200, a response slower than `timeoutMs` and a body
+ * that isn't JSON. `call(baseUrl, options)` runs the adapter against the stub.
+ */
+export const errorCases = [
+  {
+    name: 'rejects a non-200 response',
+    handler: (_req, res) => sendJson(res, { message: 'Service Unavailable' }, 503),
+    expected: /HTTP 503/
+  },
+  {
+    name: 'rejects when the provider is slower than timeoutMs',
+    handler: () => {},
+    expected: (error) => error.name === 'TimeoutError'
+  },
+  {
+    name: 'rejects a malformed JSON body',
+    handler: (_req, res) => sendJson(res, '<html>Access denied</html>'),
+    expected: SyntaxError
+  }
+];
@@ -0,0 +1,44 @@
+import assert from 'node:assert/strict';
+import { afterEach, describe, it } from 'node:test';
+
+import { BOOKING_PROVIDERS, getBookingProvider } from '../../utils/booking.js';
+
+describe('booking provider registry', () => {
+  const CREDENTIALS = ['OPENTABLE_AVAILABILITY_QUERY_HASH', 'RESY_API_KEY'];
+  const saved = Object.fromEntries(CREDENTIALS.map((name) => [name, process.env[name]]));
+  afterEach(() => {
+    for (const [name, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  });
+
+  it('resolves an API Source case-insensitively', () => {
+    assert.equal(getBookingProvider(' sevenrooms ')?.source, 'SevenRooms');
+    assert.equal(getBookingProvider('Tock')?.source, 'Tock');
+  });
+
+  it('returns null for unknown or blank sources', () => {
+    assert.equal(getBookingProvider('Quandoo'), null);
+    assert.equal(getBookingProvider(''), null);
+    assert.equal(getBookingProvider(undefined), null);
+  });
+
+  it('skips providers until their credentials are set', () => {
+    process.env.OPENTABLE_AVAILABILITY_QUERY_HASH = '';
+    process.env.RESY_API_KEY = '';
+    assert.equal(getBookingProvider('OpenTable'), null);
+    assert.equal(getBookingProvider('Resy'), null);
+
+    process.env.OPENTABLE_AVAILABILITY_QUERY_HASH = 'abc123';
+    process.env.RESY_API_KEY = 'test-key';
+    assert.equal(getBookingProvider('OpenTable'), BOOKING_PROVIDERS.opentable);
+    assert.equal(getBookingProvider('Resy'), BOOKING_PROVIDERS.resy);
+  });
+
+  it('gives every adapter a fetchAvailability function', () => {
+    for (const provider of Object.values(BOOKING_PROVIDERS)) {
+      assert.equal(typeof provider.fetchAvailability, 'function', provider.source);
+    }
+  });
+});
@@ -0,0 +1,89 @@
+import assert from 'node:assert/strict';
+import { afterEach, describe, it } from 'node:test';
+
+import { fetchAvailability } from '../../utils/opentable.js';
+import { errorCases, loadFixture, sendJson, startStubServer } from '../support/stubServer.js';
+
+// OpenTable is asked one day at a time; answer each with that day's recorded response.
+const replayByDate = (req, res, body) => sendJson(res, loadFixture('opentable')[JSON.parse(body).variables.date]);
+
+describe('OpenTable adapter', () => {
+  let stub;
+  afterEach(() => stub?.close());
+
+  it('turns minute offsets into slots for each requested day', async () => {
+    stub = await startStubServer(replayByDate);
+
+    const slots = await fetchAvailability('123456', {
+      partySize: 3,
+      from: '2026-10-24',
+      days: 2,
+      timeSlot: '19:00',
+      queryHash: 'abc123',
+      baseUrl: stub.baseUrl
+    });
+
+    assert.deepEqual(slots, [
+      {
+        date: '2026-10-24',
+        time: '18:30',
+        partySize: 3,
+        bookingUrl: `${stub.baseUrl}/restaurant/profile/123456?dateTime=2026-10-24T18%3A30&covers=3`
+      },
+      {
+        date: '2026-10-24',
+        time: '20:00',
+        partySize: 3,
+        bookingUrl: `${stub.baseUrl}/restaurant/profile/123456?dateTime=2026-10-24T20%3A00&covers=3`
+      },
+      {
+        date: '2026-10-25',
+        time: '19:15',
+        partySize: 3,
+        bookingUrl: `${stub.baseUrl}/restaurant/profile/123456?dateTime=2026-10-25T19%3A15&covers=3`
+      }
+    ]);
+
+    assert.equal(stub.requests.length, 2);
+    const { variables, extensions } = JSON.parse(stub.requests[0].body);
+    assert.deepEqual(variables, {
+      restaurantIds: [123456],
+      date: '2026-10-24',
+      time: '19:00',
+      partySize: 3,
+      databaseRegion: 'EU'
+    });
+    assert.equal(extensions.persistedQuery.sha256Hash, 'abc123');
+  });
+
+  it('rejects GraphQL errors reported with a 200', async () => {
+    stub = await startStubServer((_req, res) => sendJson(res, { errors: [{ message: 'PersistedQueryNotFound' }] }));
+    await assert.rejects(
+      fetchAvailability('123456', { from: '2026-10-24', days: 1, queryHash: 'stale', baseUrl: stub.baseUrl }),
+      /PersistedQueryNotFound/
+    );
+  });
+
+  it('refuses to run without a query hash', async () => {
+    await assert.rejects(
+      fetchAvailability('123456', { queryHash: '', baseUrl: 'http://127.0.0.1:9' }),
+      /OPENTABLE_AVAILABILITY_QUERY_HASH/
+    );
+  });
+
+  for (const { name, handler, expected } of errorCases) {
+    it(name, async () => {
+      stub = await startStubServer(handler);
+      await assert.rejects(
+        fetchAvailability('123456', {
+          from: '2026-10-24',
+          days: 2,
+          queryHash: 'abc123',
+          baseUrl: stub.baseUrl,
+          timeoutMs: 100
+        }),
+        expected
+      );
+    });
+  }
+});
@@ -0,0 +1,75 @@
+import assert from 'node:assert/strict';
+import { afterEach, describe, it } from 'node:test';
+
+import { fetchAvailability } from '../../utils/resy.js';
+import { errorCases, loadFixture, sendJson, startStubServer } from '../support/stubServer.js';
+
+// Resy's /4/find is asked one day at a time; answer each with that day's recorded response.
+const replayByDay = (req, res) =>
+  sendJson(res, loadFixture('resy')[new URL(req.url, 'http://stub').searchParams.get('day')]);
+
+describe('Resy adapter', () => {
+  let stub;
+  afterEach(() => stub?.close());
+
+  it('normalises venue slots for each requested day', async () => {
+    stub = await startStubServer(replayByDay);
+
+    const slots = await fetchAvailability('58848', {
+      partySize: 2,
+      from: '2026-10-24',
+      days: 2,
+      apiKey: 'test-key',
+      baseUrl: stub.baseUrl,
+      bookingBaseUrl: 'https://resy.test'
+    });
+
+    assert.deepEqual(slots, [
+      {
+        date: '2026-10-24',
+        time: '12:45',
+        partySize: 2,
+        bookingUrl: 'https://resy.test/cities/ldn/venues/bao-soho?date=2026-10-24&seats=2'
+      },
+      {
+        date: '2026-10-24',
+        time: '19:15',
+        partySize: 2,
+        bookingUrl: 'https://resy.test/cities/ldn/venues/bao-soho?date=2026-10-24&seats=2'
+      },
+      {
+        date: '2026-10-25',
+        time: '18:00',
+        partySize: 2,
+        bookingUrl: 'https://resy.test/cities/ldn/venues/bao-soho?date=2026-10-25&seats=2'
+      }
+    ]);
+
+    assert.equal(stub.requests.length, 2);
+    const url = new URL(stub.requests[0].url, stub.baseUrl);
+    assert.equal(url.pathname, '/4/find');
+    assert.equal(url.searchParams.get('venue_id'), '58848');
+    assert.equal(url.searchParams.get('party_size'), '2');
+    assert.equal(stub.requests[0].headers.authorization, 'ResyAPI api_key="test-key"');
+  });
+
+  it('refuses to run without an API key', async () => {
+    await assert.rejects(fetchAvailability('58848', { apiKey: '', baseUrl: 'http://127.0.0.1:9' }), /RESY_API_KEY/);
+  });
+
+  for (const { name, handler, expected } of errorCases) {
+    it(name, async () => {
+      stub = await startStubServer(handler);
+      await assert.rejects(
+        fetchAvailability('58848', {
+          from: '2026-10-24',
+          days: 2,
+          apiKey: 'test-key',
+          baseUrl: stub.baseUrl,
+          timeoutMs: 100
+        }),
+        expected
+      );
+    });
+  }
+});
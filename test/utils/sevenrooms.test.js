@@ -0,0 +1,72 @@
+import assert from 'node:assert/strict';
+import { afterEach, describe, it } from 'node:test';
+
+import { fetchAvailability } from '../../utils/sevenrooms.js';
+import { errorCases, loadFixture, sendJson, startStubServer } from '../support/stubServer.js';
+
+describe('SevenRooms adapter', () => {
+  let stub;
+  afterEach(() => stub?.close());
+
+  it('normalises bookable slots inside the windows, deduplicated and sorted', async () => {
+    stub = await startStubServer((_req, res) => sendJson(res, loadFixture('sevenrooms')));
+
+    const slots = await fetchAvailability('padella', {
+      partySize: 4,
+      from: '2026-10-24',
+      days: 2,
+      baseUrl: stub.baseUrl
+    });
+
+    assert.deepEqual(slots, [
+      {
+        date: '2026-10-24',
+        time: '12:30',
+        partySize: 4,
+        bookingUrl: `${stub.baseUrl}/reservations/padella?date=2026-10-24&party_size=4&default_time=12:30`
+      },
+      {
+        date: '2026-10-24',
+        time: '19:00',
+        partySize: 4,
+        bookingUrl: `${stub.baseUrl}/reservations/padella?date=2026-10-24&party_size=4&default_time=19:00`
+      },
+      {
+        date: '2026-10-25',
+        time: '18:15',
+        partySize: 4,
+        bookingUrl: `${stub.baseUrl}/reservations/padella?date=2026-10-25&party_size=4&default_time=18:15`
+      }
+    ]);
+
+    const url = new URL(stub.requests[0].url, stub.baseUrl);
+    assert.equal(url.pathname, '/api-yoa/availability/widget/range');
+    assert.equal(url.searchParams.get('venue'), 'padella');
+    assert.equal(url.searchParams.get('party_size'), '4');
+    assert.equal(url.searchParams.get('start_date'), '2026-10-24');
+    assert.equal(url.searchParams.get('num_days'), '2');
+  });
+
+  it('keeps every slot when windows is null', async () => {
+    stub = await startStubServer((_req, res) => sendJson(res, loadFixture('sevenrooms')));
+
+    const slots = await fetchAvailability('padella', { from: '2026-10-24', days: 2, windows: null, baseUrl: stub.baseUrl });
+
+    assert.deepEqual(slots.map(({ date, time }) => `${date} ${time}`), [
+      '2026-10-24 12:30',
+      '2026-10-24 17:00',
+      '2026-10-24 19:00',
+      '2026-10-25 18:15'
+    ]);
+  });
+
+  for (const { name, handler, expected } of errorCases) {
+    it(name, async () => {
+      stub = await startStubServer(handler);
+      await assert.rejects(
+        fetchAvailability('padella', { from: '2026-10-24', days: 2, baseUrl: stub.baseUrl, timeoutMs: 100 }),
+        expected
+      );
+    });
+  }
+});
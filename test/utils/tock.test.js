@@ -0,0 +1,57 @@
+import assert from 'node:assert/strict';
+import { afterEach, describe, it } from 'node:test';
+
+import { fetchAvailability } from '../../utils/tock.js';
+import { errorCases, loadFixture, sendJson, startStubServer } from '../support/stubServer.js';
+
+describe('Tock adapter', () => {
+  let stub;
+  afterEach(() => stub?.close());
+
+  it('normalises ticket groups with seats for the party inside the range and windows', async () => {
+    stub = await startStubServer((_req, res) => sendJson(res, loadFixture('tock')));
+
+    const slots = await fetchAvailability('the-clove-club', {
+      partySize: 2,
+      from: '2026-10-24',
+      days: 2,
+      baseUrl: stub.baseUrl
+    });
+
+    assert.deepEqual(slots, [
+      {
+        date: '2026-10-24',
+        time: '19:30',
+        partySize: 2,
+        bookingUrl: `${stub.baseUrl}/the-clove-club/search?date=2026-10-24&size=2&time=19:30`
+      },
+      {
+        date: '2026-10-25',
+        time: '13:15',
+        partySize: 2,
+        bookingUrl: `${stub.baseUrl}/the-clove-club/search?date=2026-10-25&size=2&time=13:15`
+      }
+    ]);
+
+    const [request] = stub.requests;
+    assert.equal(request.method, 'POST');
+    assert.equal(request.url, '/api/consumer/calendar/full/v2');
+    assert.deepEqual(JSON.parse(request.headers['x-tock-scope']), {
+      site: 'EXPLORETOCK',
+      businessSlug: 'the-clove-club'
+    });
+    assert.deepEqual(JSON.parse(request.body), {
+      request: { businessSlug: 'the-clove-club', partySize: 2, startDate: '2026-10-24', endDate: '2026-10-25' }
+    });
+  });
+
+  for (const { name, handler, expected } of errorCases) {
+    it(name, async () => {
+      stub = await startStubServer(handler);
+      await assert.rejects(
+        fetchAvailability('the-clove-club', { from: '2026-10-24', days: 2, baseUrl: stub.baseUrl, timeoutMs: 100 }),
+        expected
+      );
+    });
+  }
+});
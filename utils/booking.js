@@ -0,0 +1,26 @@
+// utils/booking.js
+import * as opentable from "./opentable.js";
+import * as resy from "./resy.js";
+import * as sevenrooms from "./sevenrooms.js";
+import * as tock from "./tock.js";
+
+/**
+ * Booking-provider adapters keyed by lower-cased Airtable `API Source`. Every adapter exposes
+ * `fetchAvailability(apiId, { partySize, from, days, timeSlot, windows, baseUrl, timeoutMs })`, resolving
+ * to `{ date, time, partySize, bookingUrl }` slots and throwing on upstream failures, plus an
+ * optional `isConfigured()` for providers that need credentials and an optional `MAX_DAYS` for
+ * providers that make one request per day.
+ */
+export const BOOKING_PROVIDERS = {
+  sevenrooms: { source: "SevenRooms", ...sevenrooms },
+  tock: { source: "Tock", ...tock },
+  opentable: { source: "OpenTable", ...opentable },
+  resy: { source: "Resy", ...resy },
+};
+
+// The adapter for an `API Source` value, or null when it is unknown or not configured.
+export const getBookingProvider = (apiSource) => {
+  const provider = BOOKING_PROVIDERS[String(apiSource || "").trim().toLowerCase()];
+  if (!provider) return null;
+  return !provider.isConfigured || provider.isConfigured() ? provider : null;
+};
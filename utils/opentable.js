@@ -0,0 +1,82 @@
+// utils/opentable.js
+import { DEFAULT_WINDOWS, datesFrom, finaliseSlots } from "../lib/availability.js";
+
+const DEFAULT_BASE_URL = "https://www.opentable.co.uk";
+const FETCH_TIMEOUT_MS = 10000;
+
+// OpenTable only answers persisted GraphQL queries. The hash is the one its restaurant pages
+// send for "RestaurantsAvailability" and changes when OpenTable redeploys.
+export const isConfigured = () => Boolean(process.env.OPENTABLE_AVAILABILITY_QUERY_HASH);
+
+// Each day is a separate request, so one lookup covers at most a week.
+export const MAX_DAYS = 7;
+
+const addMinutes = (time, offset) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  const total = hours * 60 + minutes + offset;
+  if (total < 0 || total >= 24 * 60) return null;
+  return `${String(Math.floor(total / 60)).padStart(2, "0")}:${String(total % 60).padStart(2, "0")}`;
+};
+
+/**
+ * Fetch bookable slots for an OpenTable restaurant id (`rid`) as `{ date, time, partySize, bookingUrl }`.
+ * OpenTable reports slots as minute offsets around the requested time, so `timeSlot` decides which
+ * part of each day is searched. Same options as the SevenRooms client plus `queryHash` and `baseUrl`.
+ * Throws on any upstream failure.
+ */
+export async function fetchAvailability(rid, options = {}) {
+  const {
+    partySize = 2,
+    from = new Date().toISOString().slice(0, 10),
+    days = 14,
+    timeSlot = "19:00",
+    windows = DEFAULT_WINDOWS,
+    queryHash = process.env.OPENTABLE_AVAILABILITY_QUERY_HASH,
+    baseUrl = DEFAULT_BASE_URL,
+    timeoutMs = FETCH_TIMEOUT_MS,
+  } = options;
+
+  if (!queryHash) throw new Error("OPENTABLE_AVAILABILITY_QUERY_HASH is not set");
+
+  const slots = [];
+  for (const date of datesFrom(from, days)) {
+    const res = await fetch(`${baseUrl}/dapi/fe/gql?optype=query&opname=RestaurantsAvailability`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", Accept: "application/json" },
+      body: JSON.stringify({
+        operationName: "RestaurantsAvailability",
+        variables: {
+          restaurantIds: [Number(rid)],
+          date,
+          time: timeSlot,
+          partySize,
+          databaseRegion: "EU",
+        },
+        extensions: { persistedQuery: { version: 1, sha256Hash: queryHash } },
+      }),
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    if (!res.ok) throw new Error(`OpenTable returned HTTP ${res.status} for rid ${rid}`);
+    const data = await res.json();
+    if (data?.errors?.length) throw new Error(`OpenTable error for rid ${rid}: ${data.errors[0]?.message}`);
+
+    for (const restaurant of data?.data?.availability || []) {
+      for (const day of restaurant.availabilityDays || []) {
+        if (day.dayOffset) continue;
+        for (const slot of day.slots || []) {
+          if (!slot.isAvailable) continue;
+          const time = addMinutes(timeSlot, Number(slot.timeOffsetMinutes) || 0);
+          if (!time) continue;
+          slots.push({
+            date,
+            time,
+            partySize,
+            bookingUrl: `${baseUrl}/restaurant/profile/${encodeURIComponent(rid)}?dateTime=${date}T${encodeURIComponent(time)}&covers=${partySize}`,
+          });
+        }
+      }
+    }
+  }
+
+  return finaliseSlots(slots, windows);
+}
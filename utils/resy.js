@@ -0,0 +1,67 @@
+// utils/resy.js
+import { DEFAULT_WINDOWS, datesFrom, finaliseSlots } from "../lib/availability.js";
+
+const DEFAULT_BASE_URL = "https://api.resy.com";
+const DEFAULT_BOOKING_BASE_URL = "https://resy.com";
+const FETCH_TIMEOUT_MS = 10000;
+
+// Resy's API needs the public key its own web widget sends.
+export const isConfigured = () => Boolean(process.env.RESY_API_KEY);
+
+// Each day is a separate request, so one lookup covers at most a week.
+export const MAX_DAYS = 7;
+
+/**
+ * Fetch bookable slots for a Resy venue id as `{ date, time, partySize, bookingUrl }`.
+ * Same options as the SevenRooms client plus `apiKey`, `baseUrl` and `bookingBaseUrl`.
+ * Throws when Resy can't be reached or answers badly.
+ */
+export async function fetchAvailability(venueId, options = {}) {
+  const {
+    partySize = 2,
+    from = new Date().toISOString().slice(0, 10),
+    days = 14,
+    windows = DEFAULT_WINDOWS,
+    apiKey = process.env.RESY_API_KEY,
+    baseUrl = DEFAULT_BASE_URL,
+    timeoutMs = FETCH_TIMEOUT_MS,
+    bookingBaseUrl = DEFAULT_BOOKING_BASE_URL,
+  } = options;
+
+  if (!apiKey) throw new Error("RESY_API_KEY is not set");
+
+  const slots = [];
+  // /4/find answers one day at a time; walk the range in order to stay polite.
+  for (const day of datesFrom(from, days)) {
+    const params = new URLSearchParams({
+      lat: "0",
+      long: "0",
+      day,
+      party_size: String(partySize),
+      venue_id: String(venueId),
+    });
+    const res = await fetch(`${baseUrl}/4/find?${params}`, {
+      headers: { Authorization: `ResyAPI api_key="${apiKey}"`, Accept: "application/json" },
+      signal: AbortSignal.timeout(timeoutMs),
+    });
+    if (!res.ok) throw new Error(`Resy returned HTTP ${res.status} for venue ${venueId}`);
+    const data = await res.json();
+
+    for (const result of data?.results?.venues || []) {
+      const urlSlug = result?.venue?.url_slug;
+      const city = result?.venue?.location?.code || "ldn";
+      for (const slot of result.slots || []) {
+        // "YYYY-MM-DD HH:MM:SS", venue local time.
+        const match = String(slot?.date?.start || "").match(/^(\d{4}-\d{2}-\d{2})[ T](\d{2}:\d{2})/);
+        if (!match) continue;
+        const [, date, time] = match;
+        const bookingUrl = urlSlug
+          ? `${bookingBaseUrl}/cities/${city}/venues/${encodeURIComponent(urlSlug)}?date=${date}&seats=${partySize}`
+          : `${bookingBaseUrl}/?venue_id=${encodeURIComponent(venueId)}&date=${date}&seats=${partySize}`;
+        slots.push({ date, time, partySize, bookingUrl });
+      }
+    }
+  }
+
+  return finaliseSlots(slots, windows);
+}
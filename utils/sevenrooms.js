@@ -1,43 +1,67 @@
 // utils/sevenrooms.js
-import fetch from "node-fetch";
+import { DEFAULT_WINDOWS, finaliseSlots } from "../lib/availability.js";
+
+const DEFAULT_BASE_URL = "https://www.sevenrooms.com";
+const FETCH_TIMEOUT_MS = 10000;
 
 /**
- * Fetch availability slots from SevenRooms
+ * Fetch bookable slots from SevenRooms as `{ date, time, partySize, bookingUrl }`, where date and
+ * time are the venue's local wall clock. Throws when SevenRooms can't be reached or answers badly.
+ *
+ * Options: `partySize` (default 2), `from` (YYYY-MM-DD, default today UTC), `days` (default 14),
+ * `timeSlot` ("HH:MM" the search is centred on, default "19:00"), `windows`
+ * (default DEFAULT_WINDOWS; pass `null` or `[]` to keep every slot), `baseUrl` and `timeoutMs`
+ * (per upstream request, default 10 s).
  */
-export async function fetchAvailability(venueSlug, partySize = 2, days = 14) {
-  const start = new Date();
-  const startStr = start.toISOString().split("T")[0];
+export async function fetchAvailability(venueSlug, options = {}) {
+  const {
+    partySize = 2,
+    from = new Date().toISOString().slice(0, 10),
+    days = 14,
+    timeSlot = "19:00",
+    windows = DEFAULT_WINDOWS,
+    baseUrl = DEFAULT_BASE_URL,
+    timeoutMs = FETCH_TIMEOUT_MS,
+  } = options;
 
-  const url = `https://www.sevenrooms.com/api-yoa/availability/widget/range?venue=${venueSlug}&time_slot=19:00&party_size=${partySize}&halo_size_interval=100&start_date=${startStr}&num_days=${days}&channel=SEVENROOMS_WIDGET&selected_lang_code=en&exclude_pdr=true`;
+  const params = new URLSearchParams({
+    venue: venueSlug,
+    time_slot: timeSlot,
+    party_size: String(partySize),
+    halo_size_interval: "100",
+    start_date: from,
+    num_days: String(days),
+    channel: "SEVENROOMS_WIDGET",
+    selected_lang_code: "en",
+    exclude_pdr: "true",
+  });
 
-  try {
-    const res = await fetch(url);
-    if (!res.ok) throw new Error(`Fetch failed for ${venueSlug}`);
-    const data = await res.json();
+  const res = await fetch(`${baseUrl}/api-yoa/availability/widget/range?${params}`, {
+    signal: AbortSignal.timeout(timeoutMs),
+  });
+  if (!res.ok) throw new Error(`SevenRooms returned HTTP ${res.status} for ${venueSlug}`);
+  const data = await res.json();
 
-    const slots = [];
-    for (const details of Object.values(data.data.availability || {})) {
-      for (const detail of details) {
-        if (detail.is_closed) continue;
-        for (const t of detail.times) {
-          if (t.type === "book") {
-            const iso = t.real_datetime_of_slot.replace(" ", "T");
-            const dt = new Date(iso);
-            const hr = dt.getHours();
-            // Keep only lunch (12-15h) and dinner (18-21h)
-            if ((hr >= 12 && hr <= 15) || (hr >= 18 && hr <= 21)) {
-              slots.push({
-                date: dt.toISOString().split("T")[0],
-                time: dt.toTimeString().slice(0, 5),
-              });
-            }
-          }
-        }
+  const slots = [];
+  for (const details of Object.values(data?.data?.availability || {})) {
+    for (const detail of details) {
+      if (detail.is_closed) continue;
+      for (const t of detail.times || []) {
+        if (t.type !== "book") continue;
+        // "YYYY-MM-DD HH:MM:SS" in the venue's time zone – read it as text, not as a Date,
+        // so the server's own time zone never shifts it.
+        const match = String(t.real_datetime_of_slot || "").match(/^(\d{4}-\d{2}-\d{2})[ T](\d{2}:\d{2})/);
+        if (!match) continue;
+        const [, date, time] = match;
+        slots.push({
+          date,
+          time,
+          partySize,
+          bookingUrl: `${baseUrl}/reservations/${encodeURIComponent(venueSlug)}?date=${date}&party_size=${partySize}&default_time=${time}`,
+        });
       }
     }
-    return slots;
-  } catch (err) {
-    console.error(`❌ SevenRooms fetch error for ${venueSlug}:`, err.message);
-    return [];
   }
+
+  return finaliseSlots(slots, windows);
 }
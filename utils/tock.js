@@ -0,0 +1,56 @@
+// utils/tock.js
+import { DEFAULT_WINDOWS, datesFrom, finaliseSlots } from "../lib/availability.js";
+
+const DEFAULT_BASE_URL = "https://www.exploretock.com";
+const FETCH_TIMEOUT_MS = 10000;
+
+/**
+ * Fetch bookable slots for a Tock business slug (the path segment of its exploretock.com page)
+ * as `{ date, time, partySize, bookingUrl }`. Uses the calendar endpoint Tock's own booking page
+ * calls; every ticket group with seats left that fits the party counts as a slot.
+ * Same options as the SevenRooms client plus `baseUrl`. Throws on any upstream failure.
+ */
+export async function fetchAvailability(businessSlug, options = {}) {
+  const {
+    partySize = 2,
+    from = new Date().toISOString().slice(0, 10),
+    days = 14,
+    windows = DEFAULT_WINDOWS,
+    baseUrl = DEFAULT_BASE_URL,
+    timeoutMs = FETCH_TIMEOUT_MS,
+  } = options;
+
+  const dates = datesFrom(from, days);
+  const res = await fetch(`${baseUrl}/api/consumer/calendar/full/v2`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      Accept: "application/json",
+      "X-Tock-Scope": JSON.stringify({ site: "EXPLORETOCK", businessSlug }),
+    },
+    body: JSON.stringify({
+      request: { businessSlug, partySize, startDate: dates[0], endDate: dates[dates.length - 1] },
+    }),
+    signal: AbortSignal.timeout(timeoutMs),
+  });
+  if (!res.ok) throw new Error(`Tock returned HTTP ${res.status} for ${businessSlug}`);
+  const data = await res.json();
+
+  const slots = [];
+  for (const group of data?.result?.ticketGroup || []) {
+    const date = String(group?.date || "");
+    const time = String(group?.time || "").slice(0, 5);
+    if (!dates.includes(date) || !/^\d{2}:\d{2}$/.test(time)) continue;
+    if (!(group.availableTickets > 0)) continue;
+    if (group.minPurchaseSize && partySize < group.minPurchaseSize) continue;
+    if (group.maxPurchaseSize && partySize > group.maxPurchaseSize) continue;
+    slots.push({
+      date,
+      time,
+      partySize,
+      bookingUrl: `${baseUrl}/${encodeURIComponent(businessSlug)}/search?date=${date}&size=${partySize}&time=${time}`,
+    });
+  }
+
+  return finaliseSlots(slots, windows);
+}